@@ -0,0 +1,4 @@
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS escalation_event_types JSONB NOT NULL DEFAULT '["tab_switch", "window_blur"]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_violations_session_type ON violation_events(session_token, event_type);
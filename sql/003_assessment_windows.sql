@@ -0,0 +1,6 @@
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS opens_at TIMESTAMPTZ;
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS closes_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_assessments_active_window ON assessments(is_active, opens_at, closes_at);
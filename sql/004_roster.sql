@@ -0,0 +1,12 @@
+CREATE TABLE IF NOT EXISTS assessment_roster (
+  assessment_id UUID NOT NULL REFERENCES assessments(id) ON DELETE CASCADE,
+  student_id TEXT NOT NULL,
+  full_name TEXT NOT NULL,
+  access_code_hash TEXT NOT NULL,
+  access_code_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (assessment_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_roster_assessment ON assessment_roster(assessment_id);
@@ -0,0 +1,4 @@
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS resume_approval_code TEXT NOT NULL DEFAULT '';
+
+CREATE INDEX IF NOT EXISTS idx_sessions_assessment_student_status ON sessions(assessment_id, student_id, status);
@@ -0,0 +1,21 @@
+ALTER TABLE sessions
+  ADD COLUMN IF NOT EXISTS paused_at TIMESTAMPTZ;
+ALTER TABLE sessions
+  ADD COLUMN IF NOT EXISTS void_reason TEXT;
+
+ALTER TABLE submissions
+  ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ;
+ALTER TABLE submissions
+  ADD COLUMN IF NOT EXISTS void_reason TEXT;
+
+CREATE TABLE IF NOT EXISTS session_interventions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_token UUID NOT NULL REFERENCES sessions(token) ON DELETE CASCADE,
+  action TEXT NOT NULL,
+  reason TEXT NOT NULL DEFAULT '',
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  actor TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_interventions_session ON session_interventions(session_token, created_at);
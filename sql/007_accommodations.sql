@@ -0,0 +1,18 @@
+CREATE TABLE IF NOT EXISTS student_accommodations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id TEXT NOT NULL,
+  assessment_id UUID REFERENCES assessments(id) ON DELETE CASCADE,
+  extra_time_percent INTEGER NOT NULL CHECK (extra_time_percent > 0),
+  note TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One global (assessment_id IS NULL) and at most one per-assessment record per student.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_accommodations_student_scope
+  ON student_accommodations(student_id, COALESCE(assessment_id, '00000000-0000-0000-0000-000000000000'::uuid));
+
+ALTER TABLE sessions
+  ADD COLUMN IF NOT EXISTS extra_time_percent INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE submissions
+  ADD COLUMN IF NOT EXISTS extra_time_percent INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,26 @@
+ALTER TABLE bank_questions
+  ADD COLUMN IF NOT EXISTS question_type TEXT NOT NULL DEFAULT 'single';
+ALTER TABLE bank_questions
+  ADD COLUMN IF NOT EXISTS scoring_rule TEXT NOT NULL DEFAULT 'all_or_nothing';
+ALTER TABLE bank_questions
+  ADD COLUMN IF NOT EXISTS numeric_answer DOUBLE PRECISION;
+ALTER TABLE bank_questions
+  ADD COLUMN IF NOT EXISTS numeric_tolerance DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Partial credit on multiple-response questions produces fractional scores. Changing the type rewrites the
+-- table, so only do it while the column is not NUMERIC yet.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'sessions' AND column_name = 'score' AND data_type <> 'numeric'
+  ) THEN
+    ALTER TABLE sessions ALTER COLUMN score TYPE NUMERIC(10, 2);
+  END IF;
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'submissions' AND column_name = 'score' AND data_type <> 'numeric'
+  ) THEN
+    ALTER TABLE submissions ALTER COLUMN score TYPE NUMERIC(10, 2);
+  END IF;
+END $$;
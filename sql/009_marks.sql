@@ -0,0 +1,14 @@
+ALTER TABLE bank_questions
+  ADD COLUMN IF NOT EXISTS marks NUMERIC(6, 2) NOT NULL DEFAULT 1;
+
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS negative_mark_ratio NUMERIC(4, 2) NOT NULL DEFAULT 0;
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS pass_mark_percent NUMERIC(5, 2);
+
+ALTER TABLE submissions
+  ADD COLUMN IF NOT EXISTS marks_obtained NUMERIC(10, 2);
+ALTER TABLE submissions
+  ADD COLUMN IF NOT EXISTS max_marks NUMERIC(10, 2);
+ALTER TABLE submissions
+  ADD COLUMN IF NOT EXISTS passed BOOLEAN;
@@ -0,0 +1,11 @@
+-- NULL derives the limit from stem length, matching the client's computeQuestionSeconds.
+ALTER TABLE bank_questions
+  ADD COLUMN IF NOT EXISTS time_limit_seconds INTEGER CHECK (time_limit_seconds > 0);
+
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS question_time_limits BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS late_answer_policy TEXT NOT NULL DEFAULT 'blank';
+
+ALTER TABLE sessions
+  ADD COLUMN IF NOT EXISTS question_served_at TIMESTAMPTZ;
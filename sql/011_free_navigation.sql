@@ -0,0 +1,10 @@
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS navigation_mode TEXT NOT NULL DEFAULT 'linear';
+
+-- Free-navigation sessions keep answers keyed by question ID, plus the IDs flagged for review.
+ALTER TABLE sessions
+  ADD COLUMN IF NOT EXISTS navigation_mode TEXT NOT NULL DEFAULT 'linear';
+ALTER TABLE sessions
+  ADD COLUMN IF NOT EXISTS answer_map JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE sessions
+  ADD COLUMN IF NOT EXISTS flagged_questions JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,29 @@
+-- Results of the post-assessment integrity job; each run replaces the previous rows for its assessment.
+CREATE TABLE IF NOT EXISTS session_risk_scores (
+  session_token UUID PRIMARY KEY REFERENCES sessions(token) ON DELETE CASCADE,
+  assessment_id UUID NOT NULL REFERENCES assessments(id) ON DELETE CASCADE,
+  risk_score INTEGER NOT NULL,
+  risk_level TEXT NOT NULL,
+  factors JSONB NOT NULL DEFAULT '{}'::jsonb,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_risk_scores_assessment
+  ON session_risk_scores(assessment_id, risk_score DESC);
+
+CREATE TABLE IF NOT EXISTS flagged_session_pairs (
+  id BIGSERIAL PRIMARY KEY,
+  assessment_id UUID NOT NULL REFERENCES assessments(id) ON DELETE CASCADE,
+  session_a UUID NOT NULL REFERENCES sessions(token) ON DELETE CASCADE,
+  session_b UUID NOT NULL REFERENCES sessions(token) ON DELETE CASCADE,
+  similarity_score INTEGER NOT NULL,
+  shared_questions INTEGER NOT NULL,
+  identical_answers INTEGER NOT NULL,
+  shared_wrong_answers INTEGER NOT NULL,
+  synchronized_answers INTEGER NOT NULL,
+  reasons JSONB NOT NULL DEFAULT '[]'::jsonb,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_flagged_session_pairs_assessment
+  ON flagged_session_pairs(assessment_id, similarity_score DESC);
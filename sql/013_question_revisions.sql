@@ -0,0 +1,54 @@
+-- Append-only history of bank questions; rows outlive the question so deletions can be rolled back.
+CREATE TABLE IF NOT EXISTS bank_question_revisions (
+  id BIGSERIAL PRIMARY KEY,
+  bank_code TEXT NOT NULL REFERENCES question_banks(code) ON DELETE CASCADE,
+  question_id TEXT NOT NULL,
+  revision INTEGER NOT NULL,
+  data JSONB NOT NULL,
+  deleted BOOLEAN NOT NULL DEFAULT false,
+  change_type TEXT NOT NULL,
+  author TEXT NOT NULL DEFAULT 'system',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (bank_code, question_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_question_revisions_bank_time
+  ON bank_question_revisions(bank_code, created_at DESC);
+
+ALTER TABLE bank_questions
+  ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0;
+
+-- Questions that predate versioning get a baseline revision from their current state.
+INSERT INTO bank_question_revisions (bank_code, question_id, revision, data, change_type, author)
+SELECT q.bank_code, q.id, 1,
+       jsonb_build_object(
+         'id', q.id,
+         'category', q.category,
+         'difficulty', q.difficulty,
+         'stem', q.stem,
+         'explanation', q.explanation,
+         'image', q.image,
+         'type', q.question_type,
+         'scoringRule', q.scoring_rule,
+         'numericAnswer', q.numeric_answer,
+         'numericTolerance', q.numeric_tolerance,
+         'marks', q.marks,
+         'timeLimitSeconds', q.time_limit_seconds,
+         'distractors', COALESCE((
+           SELECT jsonb_agg(jsonb_build_object(
+                    'option_key', o.option_key,
+                    'option_text', o.option_text,
+                    'is_correct', o.is_correct
+                  ) ORDER BY o.option_key)
+           FROM bank_question_options o
+           WHERE o.bank_code = q.bank_code AND o.question_id = q.id
+         ), '[]'::jsonb)
+       ),
+       'baseline', 'system'
+FROM bank_questions q
+WHERE NOT EXISTS (
+  SELECT 1 FROM bank_question_revisions r
+  WHERE r.bank_code = q.bank_code AND r.question_id = q.id
+);
+
+UPDATE bank_questions SET revision = 1 WHERE revision = 0;
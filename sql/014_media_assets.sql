@@ -0,0 +1,21 @@
+-- Uploaded question images; the bytes live in the media store under storage_key.
+CREATE TABLE IF NOT EXISTS media_assets (
+  id TEXT PRIMARY KEY,
+  bank_code TEXT REFERENCES question_banks(code) ON DELETE SET NULL,
+  filename TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  sha256 TEXT NOT NULL,
+  storage_key TEXT NOT NULL,
+  uploaded_by TEXT NOT NULL DEFAULT 'system',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_assets_sha256 ON media_assets(sha256);
+CREATE INDEX IF NOT EXISTS idx_media_assets_bank ON media_assets(bank_code, created_at DESC);
+
+-- No foreign key: old revisions may still name a deleted asset, and restoring them must not fail.
+ALTER TABLE bank_questions
+  ADD COLUMN IF NOT EXISTS image_asset_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_bank_questions_image_asset ON bank_questions(image_asset_id);
@@ -0,0 +1,6 @@
+-- Free-form question tags (learning objective, topic, source); stored lower-cased and de-duplicated.
+ALTER TABLE bank_questions
+  ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_bank_questions_tags ON bank_questions USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_bank_questions_bank_category ON bank_questions(bank_code, category, difficulty);
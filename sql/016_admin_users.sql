@@ -0,0 +1,21 @@
+-- Named admin accounts replace the single shared ADMIN_PASSWORD. token_version is bumped to revoke issued JWTs.
+CREATE TABLE IF NOT EXISTS admin_users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  username TEXT UNIQUE NOT NULL,
+  display_name TEXT NOT NULL DEFAULT '',
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'author', 'invigilator', 'grader')),
+  active BOOLEAN NOT NULL DEFAULT true,
+  token_version INTEGER NOT NULL DEFAULT 1,
+  last_login_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Which banks and assessments (by code) a non-owner may work on; '*' grants every one of that kind.
+CREATE TABLE IF NOT EXISTS admin_user_scopes (
+  user_id UUID NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+  scope_type TEXT NOT NULL CHECK (scope_type IN ('bank', 'assessment')),
+  scope_code TEXT NOT NULL,
+  PRIMARY KEY (user_id, scope_type, scope_code)
+);
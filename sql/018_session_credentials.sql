@@ -0,0 +1,7 @@
+-- Student credentials carry credential_version; resuming a session bumps it so credentials issued earlier stop working.
+ALTER TABLE sessions
+  ADD COLUMN IF NOT EXISTS credential_version INTEGER NOT NULL DEFAULT 0;
+
+-- When set, a student credential only works from the user agent and screen resolution it was issued to.
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS bind_fingerprint BOOLEAN NOT NULL DEFAULT false;
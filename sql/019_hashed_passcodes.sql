@@ -0,0 +1,9 @@
+-- passcode and resume_approval_code now hold scrypt hashes. Plaintext values from before are hashed by the
+-- migrate script after the SQL files run (hashPlaintextAssessmentSecrets); plaintext never matches at sign-in.
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS passcode_mode TEXT NOT NULL DEFAULT 'static' CHECK (passcode_mode IN ('static', 'rotating'));
+-- Rotating mode derives the passcode from this secret and the clock, so it cannot be hashed; it is never returned.
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS passcode_secret TEXT NOT NULL DEFAULT '';
+ALTER TABLE assessments
+  ADD COLUMN IF NOT EXISTS passcode_period_seconds INTEGER NOT NULL DEFAULT 300 CHECK (passcode_period_seconds > 0);
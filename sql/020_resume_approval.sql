@@ -0,0 +1,4 @@
+-- An invigilator's approval lets one resume of the session through until this time, when the candidate has no
+-- other second factor (roster access code, resume approval code or the same browser).
+ALTER TABLE sessions
+  ADD COLUMN IF NOT EXISTS resume_approved_until TIMESTAMPTZ;
@@ -0,0 +1,2 @@
+-- The audit log's actor filter is case-insensitive (student IDs keep their case in `student:<id>` actors).
+CREATE INDEX IF NOT EXISTS idx_admin_audit_actor_lower ON admin_audit_log(LOWER(actor), created_at DESC);
@@ -0,0 +1,155 @@
+import { config } from "./config.js";
+import { query } from "./db.js";
+import { hashPassword, isUuid, sanitizeText, verifyPassword } from "./utils.js";
+
+export const ADMIN_ROLES = ["owner", "author", "invigilator", "grader"];
+
+export const ADMIN_PERMISSIONS = [
+  "account:self",
+  "users:manage",
+  "banks:read",
+  "banks:write",
+  "assessments:read",
+  "assessments:write",
+  "roster:read",
+  "roster:write",
+  "sessions:monitor",
+  "sessions:intervene",
+  "results:read",
+  "reports:run",
+  "audit:read"
+];
+
+// Owners hold every permission and ignore scopes; the other roles only reach the banks/assessments they are scoped to.
+const ROLE_PERMISSIONS = {
+  owner: ADMIN_PERMISSIONS,
+  author: ["account:self", "banks:read", "banks:write", "assessments:read"],
+  invigilator: ["account:self", "assessments:read", "roster:read", "sessions:monitor", "sessions:intervene"],
+  grader: ["account:self", "assessments:read", "results:read", "reports:run"]
+};
+
+export const MIN_PASSWORD_LENGTH = 10;
+
+export function normalizeUsername(value) {
+  return sanitizeText(value).toLowerCase().replace(/[^a-z0-9._@-]/g, "");
+}
+
+export function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+// Routes declare `config: { permission }`; a route without one is reserved for owners.
+export function hasPermission(admin, permission) {
+  if (!admin) return false;
+  if (!permission) return admin.role === "owner";
+  return permissionsFor(admin.role).includes(permission);
+}
+
+/**
+ * Codes of the given scope type ("bank" or "assessment") the admin is limited to, or null when unrestricted.
+ * List routes use this to filter; single-resource routes use canAccessBank/canAccessAssessment.
+ */
+export function scopeCodes(admin, type) {
+  if (admin?.role === "owner") return null;
+  const codes = (type === "bank" ? admin?.banks : admin?.assessments) || [];
+  return codes.includes("*") ? null : codes;
+}
+
+export function canAccessBank(admin, bankCode) {
+  const codes = scopeCodes(admin, "bank");
+  return codes === null || codes.includes(bankCode);
+}
+
+export function canAccessAssessment(admin, assessmentCode) {
+  const codes = scopeCodes(admin, "assessment");
+  return codes === null || codes.includes(assessmentCode);
+}
+
+// Account rows carry password_hash, so never send them as-is; use toAdminForClient.
+async function selectAdminUser(column, value) {
+  const out = await query(
+    `SELECT u.*,
+            COALESCE(array_agg(s.scope_code ORDER BY s.scope_code) FILTER (WHERE s.scope_type = 'bank'), '{}') AS banks,
+            COALESCE(array_agg(s.scope_code ORDER BY s.scope_code) FILTER (WHERE s.scope_type = 'assessment'), '{}') AS assessments
+     FROM admin_users u
+     LEFT JOIN admin_user_scopes s ON s.user_id = u.id
+     WHERE ${column} = $1
+     GROUP BY u.id`,
+    [String(value ?? "")]
+  );
+  return out.rows[0] || null;
+}
+
+// Account with its bank and assessment scopes, or null.
+export async function loadAdminUser(id) {
+  if (!isUuid(id)) return null;
+  return selectAdminUser("u.id", id);
+}
+
+export function findAdminByUsername(username) {
+  return selectAdminUser("u.username", username);
+}
+
+// Unknown usernames still pay for a hash so response timing does not reveal which accounts exist.
+export async function checkAdminPassword(user, password) {
+  if (!user?.active) {
+    await hashPassword(password);
+    return false;
+  }
+  return verifyPassword(password, user.password_hash);
+}
+
+export function toAdminForClient(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.display_name,
+    role: user.role,
+    active: user.active,
+    permissions: permissionsFor(user.role),
+    banks: user.banks || [],
+    assessments: user.assessments || [],
+    lastLoginAt: user.last_login_at ?? null,
+    createdAt: user.created_at
+  };
+}
+
+// Bank codes are lower-case and assessment codes upper-case everywhere else, so scopes are stored the same way.
+export function normalizeScopes(body) {
+  const list = (value) => (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((x) => sanitizeText(x))
+    .filter(Boolean);
+  return {
+    banks: [...new Set(list(body.banks).map((c) => (c === "*" ? c : c.toLowerCase().replace(/[^a-z0-9_-]/g, ""))))].filter(Boolean),
+    assessments: [...new Set(list(body.assessments).map((c) => c.toUpperCase()))]
+  };
+}
+
+export async function replaceScopes(client, userId, { banks, assessments }) {
+  await client.query("DELETE FROM admin_user_scopes WHERE user_id = $1", [userId]);
+  for (const code of banks) {
+    await client.query("INSERT INTO admin_user_scopes (user_id, scope_type, scope_code) VALUES ($1, 'bank', $2)", [userId, code]);
+  }
+  for (const code of assessments) {
+    await client.query("INSERT INTO admin_user_scopes (user_id, scope_type, scope_code) VALUES ($1, 'assessment', $2)", [userId, code]);
+  }
+}
+
+/**
+ * First login on a fresh install: with no accounts yet, ADMIN_USERNAME / ADMIN_PASSWORD create the initial owner.
+ * Once any account exists the configured password is no longer accepted.
+ */
+export async function ensureBootstrapOwner(username, password) {
+  if (username !== normalizeUsername(config.adminUsername) || password !== config.adminPassword) return null;
+  const existing = await query("SELECT 1 FROM admin_users LIMIT 1");
+  if (existing.rows[0]) return null;
+
+  await query(
+    `INSERT INTO admin_users (username, display_name, password_hash, role)
+     SELECT $1, $2, $3, 'owner'
+     WHERE NOT EXISTS (SELECT 1 FROM admin_users)
+     ON CONFLICT (username) DO NOTHING`,
+    [username, "Owner", await hashPassword(password)]
+  );
+  return findAdminByUsername(username);
+}
@@ -0,0 +1,247 @@
+import { query } from "./db.js";
+import { listSessionAnswers } from "./sessions.js";
+
+// Classical test theory conventions: top and bottom 27% of candidates form the comparison groups.
+const DISCRIMINATION_GROUP_SHARE = 0.27;
+
+function round(value, places = 3) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function detailCredit(detail) {
+  if (detail.credit != null) return Number(detail.credit);
+  return detail.isCorrect ? 1 : 0;
+}
+
+/**
+ * Loads every non-voided submission with the session snapshot and raw answers it was scored from.
+ * `code` narrows to one assessment; an empty code covers all of them.
+ */
+export async function loadScoredAttempts(code = "") {
+  const out = await query(
+    `SELECT sub.session_token, sub.percentage, sub.passed, sub.auto_submitted, sub.time_taken_ms,
+            sub.result_payload->'details' AS details,
+            a.code AS assessment_code, a.bank_code AS assessment_bank_code,
+            s.questions_snapshot, s.answers, s.answer_map, s.navigation_mode
+     FROM submissions sub
+     JOIN sessions s ON s.token = sub.session_token
+     JOIN assessments a ON a.id = sub.assessment_id
+     WHERE sub.voided_at IS NULL
+       AND ($1 = '' OR a.code = $1)
+     ORDER BY sub.submitted_at`,
+    [code]
+  );
+  return out.rows;
+}
+
+function itemFlags(item) {
+  const flags = [];
+  if (item.pValue != null && item.pValue < 0.2) flags.push("too_hard");
+  if (item.pValue != null && item.pValue > 0.9) flags.push("too_easy");
+  if (item.discrimination != null && item.discrimination < 0) flags.push("negative_discrimination");
+  else if (item.discrimination != null && item.discrimination < 0.2) flags.push("poor_discrimination");
+  if (item.distractors.some((d) => !d.correct && d.count === 0)) flags.push("non_functioning_distractor");
+  return flags;
+}
+
+/**
+ * Per-question difficulty (mean credit), upper/lower-group discrimination, option pick counts and
+ * average answer time, keyed by bank and question ID. Pass `bankCode` to keep one bank's items.
+ */
+export function buildItemAnalysis(attempts, { bankCode = "" } = {}) {
+  const ranked = attempts.slice().sort((a, b) => Number(b.percentage) - Number(a.percentage));
+  const groupSize = ranked.length ? Math.max(1, Math.floor(ranked.length * DISCRIMINATION_GROUP_SHARE)) : 0;
+  const upper = new Set(ranked.slice(0, groupSize).map((a) => a.session_token));
+  const lower = new Set(ranked.slice(ranked.length - groupSize).map((a) => a.session_token));
+
+  const items = new Map();
+  attempts.forEach((attempt) => {
+    const credits = new Map((attempt.details || []).map((d) => [d.questionId, detailCredit(d)]));
+    const answers = new Map(listSessionAnswers(attempt).map((a) => [a.questionId, a]));
+
+    (attempt.questions_snapshot || []).forEach((q) => {
+      const itemBank = q.bankCode || attempt.assessment_bank_code || "default";
+      if (bankCode && itemBank !== bankCode) return;
+
+      const key = `${itemBank}:${q.id}`;
+      if (!items.has(key)) {
+        items.set(key, {
+          bankCode: itemBank,
+          questionId: q.id,
+          type: q.type || "single",
+          category: q.category,
+          stem: q.stem,
+          assessments: new Set(),
+          credits: [],
+          upperCredits: [],
+          lowerCredits: [],
+          times: [],
+          unanswered: 0,
+          options: new Map()
+        });
+      }
+      const item = items.get(key);
+      item.assessments.add(attempt.assessment_code);
+      (q.distractors || []).forEach((d) => {
+        if (!item.options.has(d.originalId)) {
+          item.options.set(d.originalId, { originalId: d.originalId, text: d.text, correct: !!d.correct, count: 0 });
+        }
+      });
+
+      const credit = credits.get(q.id) ?? 0;
+      item.credits.push(credit);
+      if (upper.has(attempt.session_token)) item.upperCredits.push(credit);
+      if (lower.has(attempt.session_token)) item.lowerCredits.push(credit);
+
+      const answer = answers.get(q.id);
+      if (answer?.elapsedMs != null) item.times.push(Number(answer.elapsedMs));
+      const picked = answer?.selectedOriginalIds || (answer?.selectedOriginalId ? [answer.selectedOriginalId] : []);
+      if (!picked.length && answer?.numericValue == null) item.unanswered += 1;
+      picked.forEach((id) => {
+        const option = item.options.get(id);
+        if (option) option.count += 1;
+      });
+    });
+  });
+
+  return [...items.values()].map((item) => {
+    const attemptsCount = item.credits.length;
+    const upperP = mean(item.upperCredits);
+    const lowerP = mean(item.lowerCredits);
+    const averageTimeMs = mean(item.times);
+    const analysed = {
+      bankCode: item.bankCode,
+      questionId: item.questionId,
+      type: item.type,
+      category: item.category,
+      stem: item.stem,
+      assessments: [...item.assessments].sort(),
+      attempts: attemptsCount,
+      unanswered: item.unanswered,
+      pValue: attemptsCount ? round(mean(item.credits)) : null,
+      discrimination: upperP != null && lowerP != null ? round(upperP - lowerP) : null,
+      averageTimeMs: averageTimeMs == null ? null : Math.round(averageTimeMs),
+      distractors: [...item.options.values()].map((o) => ({
+        ...o,
+        proportion: attemptsCount ? round(o.count / attemptsCount) : 0
+      }))
+    };
+    return { ...analysed, flags: itemFlags(analysed) };
+  }).sort((a, b) => a.bankCode.localeCompare(b.bankCode) || a.questionId.localeCompare(b.questionId));
+}
+
+export async function loadSessionCounts(code) {
+  const out = await query(
+    `SELECT COUNT(*)::int AS started,
+            COUNT(*) FILTER (WHERE s.status = 'submitted')::int AS submitted,
+            COUNT(*) FILTER (WHERE s.status IN ('active', 'paused'))::int AS in_progress,
+            COUNT(*) FILTER (WHERE s.status = 'voided')::int AS voided
+     FROM sessions s
+     JOIN assessments a ON a.id = s.assessment_id
+     WHERE a.code = $1`,
+    [code]
+  );
+  return out.rows[0] || { started: 0, submitted: 0, in_progress: 0, voided: 0 };
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function populationStdDev(values) {
+  const m = mean(values);
+  if (m == null) return null;
+  return Math.sqrt(mean(values.map((v) => (v - m) ** 2)));
+}
+
+// Ten 10-point buckets; 100% falls into the last one.
+function percentageHistogram(percentages) {
+  const buckets = Array.from({ length: 10 }, (_, i) => ({ from: i * 10, to: i === 9 ? 100 : i * 10 + 9, count: 0 }));
+  percentages.forEach((p) => {
+    const idx = Math.min(9, Math.max(0, Math.floor(p / 10)));
+    buckets[idx].count += 1;
+  });
+  return buckets;
+}
+
+/**
+ * KR-20 over the items every candidate was served (random draws leave other items with gaps), scoring full
+ * credit as correct. Returns null when fewer than two shared items or two candidates are available.
+ */
+function kr20(attempts) {
+  const matrices = attempts.map((attempt) => new Map((attempt.details || []).map((d) => [d.questionId, detailCredit(d) === 1 ? 1 : 0])));
+  if (matrices.length < 2) return { kr20: null, items: 0, candidates: matrices.length };
+
+  const shared = [...matrices[0].keys()].filter((id) => matrices.every((m) => m.has(id)));
+  const k = shared.length;
+  if (k < 2) return { kr20: null, items: k, candidates: matrices.length };
+
+  const totals = matrices.map((m) => shared.reduce((sum, id) => sum + m.get(id), 0));
+  const variance = populationStdDev(totals) ** 2;
+  if (!variance) return { kr20: null, items: k, candidates: matrices.length };
+
+  const sumPq = shared.reduce((sum, id) => {
+    const p = mean(matrices.map((m) => m.get(id)));
+    return sum + p * (1 - p);
+  }, 0);
+  return { kr20: round((k / (k - 1)) * (1 - sumPq / variance)), items: k, candidates: matrices.length };
+}
+
+export function buildAssessmentStatistics(attempts, sessionCounts) {
+  const percentages = attempts.map((a) => Number(a.percentage));
+  const autoSubmitted = attempts.filter((a) => a.auto_submitted).length;
+  const graded = attempts.filter((a) => a.passed != null);
+
+  const categories = new Map();
+  attempts.forEach((attempt) => {
+    const credits = new Map((attempt.details || []).map((d) => [d.questionId, detailCredit(d)]));
+    (attempt.questions_snapshot || []).forEach((q) => {
+      const category = q.category || "Uncategorised";
+      if (!categories.has(category)) categories.set(category, []);
+      categories.get(category).push(credits.get(q.id) ?? 0);
+    });
+  });
+
+  const rate = (count, total) => (total ? round(count / total) : null);
+  const stdDev = populationStdDev(percentages);
+  const meanPercentage = mean(percentages);
+  const medianPercentage = median(percentages);
+
+  return {
+    submissions: attempts.length,
+    sessions: {
+      started: sessionCounts.started,
+      submitted: sessionCounts.submitted,
+      inProgress: sessionCounts.in_progress,
+      voided: sessionCounts.voided
+    },
+    completionRate: rate(sessionCounts.submitted, sessionCounts.started),
+    autoSubmitRate: rate(autoSubmitted, attempts.length),
+    passRate: rate(graded.filter((a) => a.passed).length, graded.length),
+    percentage: {
+      mean: meanPercentage == null ? null : round(meanPercentage, 2),
+      median: medianPercentage,
+      stdDev: stdDev == null ? null : round(stdDev, 2),
+      min: percentages.length ? Math.min(...percentages) : null,
+      max: percentages.length ? Math.max(...percentages) : null
+    },
+    averageTimeMs: attempts.length ? Math.round(mean(attempts.map((a) => Number(a.time_taken_ms || 0)))) : null,
+    histogram: percentageHistogram(percentages),
+    categories: [...categories.entries()]
+      .map(([category, credits]) => ({
+        category,
+        questionsServed: credits.length,
+        meanPercentage: round(mean(credits) * 100, 1)
+      }))
+      .sort((a, b) => a.category.localeCompare(b.category)),
+    reliability: kr20(attempts)
+  };
+}
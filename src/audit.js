@@ -0,0 +1,57 @@
+import { sanitizeText } from "./utils.js";
+
+// Values never written to the log; a change to one shows up as "[changed]" instead.
+const SECRET_FIELDS = new Set(["passcode", "resume_approval_code", "passcode_secret", "password", "password_hash"]);
+
+function comparable(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+}
+
+/**
+ * Before/after summary holding only the fields that differ. `before` is null for a creation, `after` for a
+ * deletion; `fields` limits the comparison (default: every key of either side).
+ */
+export function summarizeChange(before, after, fields = null) {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const summary = { before: before ? {} : null, after: after ? {} : null };
+  keys.forEach((key) => {
+    const from = comparable(before?.[key]);
+    const to = comparable(after?.[key]);
+    if (before && after && JSON.stringify(from) === JSON.stringify(to)) return;
+    const secret = SECRET_FIELDS.has(key);
+    if (summary.before) summary.before[key] = secret ? (from ? "[set]" : "") : from;
+    if (summary.after) summary.after[key] = secret ? (to ? (before ? "[changed]" : "[set]") : "") : to;
+  });
+  return summary;
+}
+
+// Name recorded as the author of question revisions and interventions.
+export function describeActor(request) {
+  return sanitizeText(request.user?.username || request.user?.role || "admin");
+}
+
+/**
+ * Appends an audit record. `run` is query or a transaction client's query, so the record commits or rolls back
+ * with the change it describes. `entry` is { action, targetType, targetId, before, after, details }, plus `actor`
+ * for requests made before sign-in.
+ */
+export async function recordAudit(run, request, entry) {
+  const { action, targetType, targetId = "", before = null, after = null, details = null } = entry;
+  await run(
+    `INSERT INTO admin_audit_log (actor, actor_id, action, target_type, target_id, before, after, details, ip, user_agent)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+    [
+      sanitizeText(entry.actor || request.admin?.username || request.user?.username || "anonymous"),
+      request.admin?.id || null,
+      action,
+      targetType,
+      String(targetId ?? ""),
+      before == null ? null : JSON.stringify(before),
+      after == null ? null : JSON.stringify(after),
+      details == null ? null : JSON.stringify(details),
+      request.ip || "",
+      sanitizeText(request.headers?.["user-agent"] || "").slice(0, 300)
+    ]
+  );
+}
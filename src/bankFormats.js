@@ -0,0 +1,730 @@
+import { createZip, isZip, readZip } from "./zip.js";
+import { csvEscape, csvRowsToObjects, hashSecret } from "./utils.js";
+
+export const BANK_FORMATS = ["qti", "gift", "aiken", "csv"];
+
+// Used when a format carries no category (plain GIFT or Aiken, third-party QTI) so the rows still validate.
+const DEFAULT_CATEGORY = "Uncategorised";
+const OPTION_LETTERS = "ABCDEF";
+const CSV_OPTION_COLUMNS = [1, 2, 3, 4, 5, 6].map((n) => `option_${n}`);
+
+// Formats without question IDs get one derived from the stem, so re-importing the same file updates in place.
+function derivedId(prefix, stem) {
+  return `${prefix}_${hashSecret(String(stem || "").toLowerCase().replace(/\s+/g, " ").trim()).slice(0, 12)}`;
+}
+
+function defaultOptionIds(count) {
+  return OPTION_LETTERS.slice(0, count).toLowerCase().split("");
+}
+
+// Option keys survive a round trip only when the format can carry them; letters are the fallback.
+function optionIds(listed, count) {
+  const ids = String(listed || "").split(/[,;]/).map((x) => x.trim()).filter(Boolean);
+  return ids.length === count ? ids : defaultOptionIds(count);
+}
+
+function hasCustomOptionIds(q) {
+  return q.distractors.map((d) => d.id).join(",") !== defaultOptionIds(q.distractors.length).join(",");
+}
+
+function formatNumber(value) {
+  return value == null || value === "" ? "" : String(Number(value));
+}
+
+// ---------------------------------------------------------------------------------------------------------
+// GIFT (Moodle). Fields GIFT has no syntax for travel in `// @key value` comments, which Moodle ignores.
+
+function giftEscape(value) {
+  return String(value ?? "").replace(/[\\~=#{}:]/g, (c) => `\\${c}`).replace(/\r?\n/g, "\\n");
+}
+
+function giftUnescape(value) {
+  return String(value ?? "").replace(/\\(.)/g, (_, c) => (c === "n" ? "\n" : c)).trim();
+}
+
+function findUnescaped(text, token, from = 0) {
+  for (let i = from; i <= text.length - token.length; i += 1) {
+    if (text[i] === "\\") {
+      i += 1;
+    } else if (text.startsWith(token, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function splitUnescaped(text, markers) {
+  const parts = [];
+  let start = -1;
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === "\\") {
+      i += 1;
+    } else if (markers.includes(text[i])) {
+      if (start >= 0) parts.push(text.slice(start, i));
+      start = i;
+    }
+  }
+  if (start >= 0) parts.push(text.slice(start));
+  return parts;
+}
+
+function stripGiftFeedback(text) {
+  const idx = findUnescaped(text, "#");
+  return idx < 0 ? text : text.slice(0, idx);
+}
+
+function parseGiftAnswers(answerText, meta) {
+  const generalIdx = findUnescaped(answerText, "####");
+  const explanation = generalIdx < 0 ? "" : giftUnescape(answerText.slice(generalIdx + 4));
+  const body = (generalIdx < 0 ? answerText : answerText.slice(0, generalIdx)).trim();
+
+  if (!body) return { type: "essay", explanation };
+
+  if (body.startsWith("#")) {
+    const first = splitUnescaped(body.slice(1).trim(), "=")[0] || body.slice(1);
+    const value = giftUnescape(stripGiftFeedback(first.replace(/^=/, "").replace(/^%-?\d+(\.\d+)?%/, "")));
+    const range = value.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+    if (range) {
+      const [min, max] = [Number(range[1]), Number(range[2])];
+      return { type: "numeric", numericAnswer: (min + max) / 2, tolerance: Math.abs(max - min) / 2, explanation };
+    }
+    const [answer, tolerance = "0"] = value.split(":");
+    return { type: "numeric", numericAnswer: answer, tolerance, explanation };
+  }
+
+  const truth = giftUnescape(stripGiftFeedback(body)).toUpperCase();
+  if (["T", "TRUE", "F", "FALSE"].includes(truth)) {
+    return { type: "true_false", answer: truth.startsWith("T"), explanation };
+  }
+
+  const tokens = splitUnescaped(body, "=~");
+  if (!tokens.some((t) => t.startsWith("~"))) return { type: "short_answer", explanation };
+
+  let weighted = false;
+  const options = tokens.map((token) => {
+    let text = token.slice(1);
+    let weight = token.startsWith("=") ? 100 : 0;
+    const weightMatch = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = Number(weightMatch[1]);
+      text = text.slice(weightMatch[0].length);
+      weighted = true;
+    }
+    return { text: giftUnescape(stripGiftFeedback(text)), correct: weight > 0 };
+  });
+  if (options.some((o) => o.text.includes("->"))) return { type: "matching", explanation };
+
+  const ids = optionIds(meta.options, options.length);
+  return {
+    type: weighted || options.filter((o) => o.correct).length > 1 ? "multiple" : "single",
+    distractors: options.map((o, i) => ({ id: ids[i], text: o.text, correct: o.correct })),
+    explanation
+  };
+}
+
+function parseGiftQuestion(source, category, meta) {
+  let text = source.trim();
+  let title = "";
+  if (text.startsWith("::")) {
+    const end = findUnescaped(text, "::", 2);
+    if (end > 0) {
+      title = giftUnescape(text.slice(2, end));
+      text = text.slice(end + 2);
+    }
+  }
+
+  const open = findUnescaped(text, "{");
+  const close = open < 0 ? -1 : findUnescaped(text, "}", open + 1);
+  const stemText = open < 0 ? text : `${text.slice(0, open)} ${close < 0 ? "" : text.slice(close + 1)}`;
+  // Raw line breaks are layout only; escaped `\n` is a real newline (fenced code keeps its lines).
+  const stem = giftUnescape(stemText.replace(/^\s*\[(html|moodle|plain|markdown)\]/i, "").replace(/[ \t]*\r?\n[ \t]*/g, " "));
+  const answers = open < 0 || close < 0 ? { type: "description" } : parseGiftAnswers(text.slice(open + 1, close), meta);
+
+  return {
+    id: title || derivedId("gift", stem),
+    category: meta.category || category || DEFAULT_CATEGORY,
+    difficulty: meta.difficulty,
+    image: meta.image || null,
+    imageAssetId: meta.imageasset || null,
+    marks: meta.marks,
+    scoringRule: meta.scoring,
+    timeLimitSeconds: meta.timelimit,
+    tags: meta.tags,
+    stem,
+    ...answers
+  };
+}
+
+function parseGift(text) {
+  const questions = [];
+  let category = "";
+  let meta = {};
+  let buffer = [];
+
+  const flush = () => {
+    const source = buffer.join("\n");
+    buffer = [];
+    if (!source.trim()) return;
+    questions.push(parseGiftQuestion(source, category, meta));
+    meta = {};
+  };
+
+  String(text || "").split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim();
+    if (!buffer.length && trimmed.startsWith("//")) {
+      const tag = trimmed.match(/^\/\/\s*@(\w+)\s+(.*)$/);
+      if (tag) meta[tag[1].toLowerCase()] = tag[2].trim();
+      return;
+    }
+    if (!buffer.length && /^\$CATEGORY:/i.test(trimmed)) {
+      category = trimmed.replace(/^\$CATEGORY:\s*/i, "").split("/").filter(Boolean).pop() || "";
+      category = category.replace(/^\$\w+\$$/, "");
+      return;
+    }
+    if (!trimmed) {
+      const joined = buffer.join("\n");
+      if (findUnescaped(joined, "{") < 0 || findUnescaped(joined, "}") >= 0) flush();
+      return;
+    }
+    buffer.push(line);
+  });
+  flush();
+  return questions;
+}
+
+function toGift(questions) {
+  const lines = [];
+  let category = null;
+  questions.forEach((q) => {
+    if (q.category !== category) {
+      category = q.category;
+      lines.push(`$CATEGORY: ${category}`, "");
+    }
+    lines.push(`// @difficulty ${q.difficulty}`);
+    if (q.image) lines.push(`// @image ${q.image}`);
+    if (q.image_asset_id) lines.push(`// @imageAsset ${q.image_asset_id}`);
+    if (Number(q.marks) !== 1) lines.push(`// @marks ${formatNumber(q.marks)}`);
+    if (q.time_limit_seconds != null) lines.push(`// @timeLimit ${q.time_limit_seconds}`);
+    if (q.tags?.length) lines.push(`// @tags ${q.tags.join(", ")}`);
+    if (q.type === "multiple" && q.scoring_rule !== "all_or_nothing") lines.push(`// @scoring ${q.scoring_rule}`);
+    if (["single", "multiple"].includes(q.type) && hasCustomOptionIds(q)) {
+      lines.push(`// @options ${q.distractors.map((d) => d.id).join(",")}`);
+    }
+
+    const answers = [];
+    if (q.type === "numeric") {
+      answers.push(`#${formatNumber(q.numeric_answer)}:${formatNumber(q.numeric_tolerance) || 0}`);
+    } else if (q.type === "true_false") {
+      answers.push(q.distractors.find((d) => d.correct)?.id === "true" ? "TRUE" : "FALSE");
+    } else if (q.type === "multiple") {
+      const correctCount = q.distractors.filter((d) => d.correct).length || 1;
+      const weight = Math.round((100 / correctCount) * 100000) / 100000;
+      q.distractors.forEach((d) => answers.push(`~%${d.correct ? weight : -100}%${giftEscape(d.text)}`));
+    } else {
+      q.distractors.forEach((d) => answers.push(`${d.correct ? "=" : "~"}${giftEscape(d.text)}`));
+    }
+    if (q.explanation) answers.push(`####${giftEscape(q.explanation)}`);
+
+    lines.push(`::${giftEscape(q.id)}::${giftEscape(q.stem)}{`, ...answers.map((a) => `  ${a}`), "}", "");
+  });
+  return lines.join("\n");
+}
+
+// ---------------------------------------------------------------------------------------------------------
+// Aiken: single-answer questions only. Extension lines (ID:, CATEGORY:, ...) directly after ANSWER: carry the
+// fields Aiken lacks; omit them with `plain` for strict consumers.
+
+const AIKEN_EXTENSIONS = ["ID", "TYPE", "CATEGORY", "DIFFICULTY", "MARKS", "OPTIONS", "EXPLANATION", "IMAGE", "TAGS"];
+
+function finishAikenQuestion(draft) {
+  const ext = draft.extensions;
+  const ids = optionIds(ext.OPTIONS, draft.options.length);
+  const stem = draft.stem.join(" ").replace(/\s+/g, " ").trim();
+  return {
+    id: ext.ID || derivedId("aiken", stem),
+    type: ext.TYPE || "single",
+    category: ext.CATEGORY || DEFAULT_CATEGORY,
+    difficulty: ext.DIFFICULTY,
+    marks: ext.MARKS,
+    explanation: ext.EXPLANATION || "",
+    image: ext.IMAGE || null,
+    tags: ext.TAGS,
+    stem,
+    distractors: draft.options.map((o, i) => ({ id: ids[i], text: o.text, correct: o.letter === draft.answer }))
+  };
+}
+
+function parseAiken(text) {
+  const drafts = [];
+  let draft = null;
+  let afterAnswer = false;
+
+  String(text || "").split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      afterAnswer = false;
+      return;
+    }
+
+    const ext = trimmed.match(/^([A-Z]+):\s*(.*)$/);
+    if (afterAnswer && ext && AIKEN_EXTENSIONS.includes(ext[1])) {
+      drafts[drafts.length - 1].extensions[ext[1]] = ext[2].trim();
+      return;
+    }
+    afterAnswer = false;
+
+    const answer = trimmed.match(/^ANSWER:\s*([A-Z])\b/i);
+    if (answer && draft) {
+      draft.answer = answer[1].toUpperCase();
+      drafts.push(draft);
+      draft = null;
+      afterAnswer = true;
+      return;
+    }
+
+    if (!draft) draft = { stem: [], options: [], answer: null, extensions: {} };
+    const option = trimmed.match(/^([A-Z])[.)]\s+(.*)$/);
+    if (option) {
+      draft.options.push({ letter: option[1], text: option[2].trim() });
+    } else if (draft.options.length) {
+      const last = draft.options[draft.options.length - 1];
+      last.text = `${last.text} ${trimmed}`;
+    } else {
+      draft.stem.push(trimmed);
+    }
+  });
+  if (draft) drafts.push(draft);
+  return drafts.map(finishAikenQuestion);
+}
+
+function toAiken(questions, { plain = false } = {}) {
+  const blocks = [];
+  let skipped = 0;
+  questions.forEach((q) => {
+    if (!["single", "true_false"].includes(q.type)) {
+      skipped += 1;
+      return;
+    }
+    const lines = [q.stem.replace(/\s*\r?\n\s*/g, " ")];
+    q.distractors.forEach((d, i) => lines.push(`${OPTION_LETTERS[i]}. ${d.text.replace(/\s*\r?\n\s*/g, " ")}`));
+    lines.push(`ANSWER: ${OPTION_LETTERS[Math.max(0, q.distractors.findIndex((d) => d.correct))]}`);
+    if (!plain) {
+      lines.push(`ID: ${q.id}`);
+      if (q.type === "true_false") lines.push("TYPE: true_false");
+      lines.push(`CATEGORY: ${q.category}`, `DIFFICULTY: ${q.difficulty}`);
+      if (Number(q.marks) !== 1) lines.push(`MARKS: ${formatNumber(q.marks)}`);
+      if (hasCustomOptionIds(q)) lines.push(`OPTIONS: ${q.distractors.map((d) => d.id).join(",")}`);
+      if (q.explanation) lines.push(`EXPLANATION: ${q.explanation.replace(/\s*\r?\n\s*/g, " ")}`);
+      if (q.image) lines.push(`IMAGE: ${q.image}`);
+      if (q.tags?.length) lines.push(`TAGS: ${q.tags.join(", ")}`);
+    }
+    blocks.push(lines.join("\n"));
+  });
+  return { body: `${blocks.join("\n\n")}\n`, skipped };
+}
+
+// ---------------------------------------------------------------------------------------------------------
+// CSV: one row per question, up to six option columns, `correct` as letters ("B" or "A;C").
+
+const CSV_COLUMNS = [
+  "id", "category", "difficulty", "type", "stem", ...CSV_OPTION_COLUMNS, "correct", "option_ids",
+  "numeric_answer", "numeric_tolerance", "scoring_rule", "marks", "time_limit_seconds", "explanation", "image",
+  "image_asset_id", "tags"
+];
+
+function parseCsvCorrect(value) {
+  return String(value || "").split(/[;,\s]+/).filter(Boolean).map((x) => {
+    const position = /^\d+$/.test(x) ? Number(x) - 1 : OPTION_LETTERS.indexOf(x.toUpperCase());
+    return position;
+  });
+}
+
+function parseBankCsv(text) {
+  return csvRowsToObjects(text).map((raw) => {
+    const row = Object.fromEntries(Object.entries(raw).map(([k, v]) => [k.trim().toLowerCase(), v.trim()]));
+    const texts = CSV_OPTION_COLUMNS.map((c) => row[c] || "").filter(Boolean);
+    const correct = new Set(parseCsvCorrect(row.correct));
+    const ids = optionIds(row.option_ids, texts.length);
+    return {
+      id: row.id,
+      category: row.category,
+      difficulty: row.difficulty || undefined,
+      type: row.type || "single",
+      stem: row.stem,
+      answer: row.answer,
+      distractors: texts.map((t, i) => ({ id: ids[i], text: t, correct: correct.has(i) })),
+      numericAnswer: row.numeric_answer,
+      tolerance: row.numeric_tolerance || 0,
+      scoringRule: row.scoring_rule || undefined,
+      marks: row.marks || undefined,
+      timeLimitSeconds: row.time_limit_seconds || null,
+      explanation: row.explanation,
+      image: row.image || null,
+      imageAssetId: row.image_asset_id || null,
+      tags: row.tags
+    };
+  });
+}
+
+function toBankCsv(questions) {
+  const lines = [CSV_COLUMNS.join(",")];
+  questions.forEach((q) => {
+    const options = CSV_OPTION_COLUMNS.map((_, i) => csvEscape(q.distractors[i]?.text ?? ""));
+    const correct = q.distractors.map((d, i) => (d.correct ? OPTION_LETTERS[i] : null)).filter(Boolean).join(";");
+    lines.push([
+      csvEscape(q.id),
+      csvEscape(q.category),
+      csvEscape(q.difficulty),
+      q.type,
+      csvEscape(q.stem),
+      ...options,
+      correct,
+      csvEscape(q.distractors.length && hasCustomOptionIds(q) ? q.distractors.map((d) => d.id).join(";") : ""),
+      formatNumber(q.numeric_answer),
+      q.type === "numeric" ? formatNumber(q.numeric_tolerance) : "",
+      q.scoring_rule,
+      formatNumber(q.marks),
+      q.time_limit_seconds ?? "",
+      csvEscape(q.explanation),
+      csvEscape(q.image),
+      q.image_asset_id || "",
+      csvEscape((q.tags || []).join(";"))
+    ].join(","));
+  });
+  return lines.join("\n");
+}
+
+// ---------------------------------------------------------------------------------------------------------
+// QTI 2.1 content packages: imsmanifest.xml plus one assessmentItem per question. Category and difficulty
+// travel as LOM keyword/difficulty on the manifest resource (the first keyword is the category, any further
+// keywords are tags), the explanation as modalFeedback.
+
+const QTI_NS = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+const QTI_TEMPLATES = "http://www.imsglobal.org/question/qti_v2p1/rptemplates";
+const LOM_DIFFICULTY = { hard: "difficult" };
+const FROM_LOM_DIFFICULTY = { difficult: "hard", "very difficult": "hard", "very easy": "easy" };
+
+function xmlEscape(value) {
+  return String(value ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, e) => {
+    const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[e.toLowerCase()];
+    if (named) return named;
+    const codePoint = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1));
+    // Out-of-range references would make fromCodePoint throw; leave them as written.
+    return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+  });
+}
+
+function localName(name) {
+  return name.includes(":") ? name.slice(name.indexOf(":") + 1) : name;
+}
+
+// Tolerant element-tree reader for QTI and manifest files; namespaces prefixes are dropped.
+function parseXml(text) {
+  const root = { name: "#document", attrs: {}, children: [] };
+  const stack = [root];
+  const tokens = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let m;
+  while ((m = tokens.exec(String(text || "")))) {
+    const top = stack[stack.length - 1];
+    if (m[1] != null) {
+      top.children.push(m[1]);
+    } else if (m[2]) {
+      const name = localName(m[2]);
+      const idx = stack.map((el) => el.name).lastIndexOf(name);
+      if (idx > 0) stack.length = idx;
+    } else if (m[3]) {
+      const attrs = {};
+      for (const a of (m[4] || "").matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attrs[localName(a[1])] = decodeEntities(a[2] ?? a[3]);
+      }
+      const el = { name: localName(m[3]), attrs, children: [] };
+      top.children.push(el);
+      if (!m[5]) stack.push(el);
+    } else if (m[6] != null) {
+      top.children.push(decodeEntities(m[6]));
+    }
+  }
+  return root;
+}
+
+// `match` is an element name or a predicate over elements.
+function findAll(el, match, out = []) {
+  const test = typeof match === "function" ? match : (child) => child.name === match;
+  (el?.children || []).forEach((child) => {
+    if (typeof child === "string") return;
+    if (test(child)) out.push(child);
+    findAll(child, test, out);
+  });
+  return out;
+}
+
+function find(el, name) {
+  return findAll(el, name)[0] || null;
+}
+
+// Whitespace-only runs between elements are indentation; newlines inside a text node are kept (code blocks).
+function textOf(el, skip = []) {
+  const parts = [];
+  const walk = (node) => {
+    node.children.forEach((child) => {
+      if (typeof child === "string") parts.push(child.trim());
+      else if (!skip.includes(child.name)) walk(child);
+    });
+  };
+  if (el) walk(el);
+  return parts.filter(Boolean).join(" ");
+}
+
+const QTI_BODY_SKIP = [
+  "choiceInteraction", "textEntryInteraction", "extendedTextInteraction", "orderInteraction", "matchInteraction",
+  "inlineChoiceInteraction", "hotspotInteraction", "feedbackBlock", "feedbackInline", "rubricBlock"
+];
+
+function qtiItemToQuestion(item, resourceMeta = {}) {
+  const body = find(item, "itemBody");
+  const response = findAll(item, "responseDeclaration").find((r) => r.attrs.identifier === "RESPONSE")
+    || find(item, "responseDeclaration");
+  const correctValues = findAll(find(response, "correctResponse"), "value").map((v) => textOf(v));
+  const score = findAll(item, "outcomeDeclaration").find((o) => o.attrs.identifier === "SCORE");
+  const template = find(item, "responseProcessing")?.attrs.template || "";
+  const explanation = findAll(item, "modalFeedback").map((f) => textOf(f)).filter(Boolean).join(" ");
+  const image = findAll(body, "img").find((img) => !findAll(find(body, "choiceInteraction"), "img").includes(img));
+  const choice = find(body, "choiceInteraction");
+  const entry = find(body, "textEntryInteraction");
+
+  const question = {
+    id: item.attrs.identifier,
+    category: resourceMeta.category || DEFAULT_CATEGORY,
+    difficulty: resourceMeta.difficulty,
+    tags: resourceMeta.tags,
+    explanation,
+    image: image?.attrs.src || null,
+    marks: score?.attrs.normalMaximum
+  };
+
+  if (choice) {
+    const distractors = findAll(choice, "simpleChoice").map((c) => ({
+      id: c.attrs.identifier,
+      text: textOf(c),
+      correct: correctValues.includes(c.attrs.identifier)
+    }));
+    const keys = distractors.map((d) => d.id).sort().join(",");
+    const multiple = response?.attrs.cardinality === "multiple";
+    return {
+      ...question,
+      stem: [textOf(body, QTI_BODY_SKIP), textOf(find(choice, "prompt"))].filter(Boolean).join(" "),
+      type: multiple ? "multiple" : keys === "false,true" ? "true_false" : "single",
+      scoringRule: multiple && template.endsWith("map_response") ? "partial" : "all_or_nothing",
+      distractors
+    };
+  }
+
+  if (entry && ["float", "integer"].includes(response?.attrs.baseType)) {
+    const equal = find(find(item, "responseProcessing"), "equal");
+    const tolerance = equal?.attrs.toleranceMode === "absolute" ? String(equal.attrs.tolerance || "0").split(/\s+/)[0] : 0;
+    return {
+      ...question,
+      stem: textOf(body, QTI_BODY_SKIP),
+      type: "numeric",
+      numericAnswer: correctValues[0],
+      tolerance
+    };
+  }
+
+  const interaction = findAll(body, (el) => el.name.endsWith("Interaction"))[0];
+  return { ...question, stem: textOf(body, QTI_BODY_SKIP), type: interaction ? interaction.name.replace(/Interaction$/, "") : "unknown" };
+}
+
+function resourceMetadata(resource) {
+  const keywords = findAll(find(resource, "general"), "keyword").map((k) => textOf(find(k, "string") || k));
+  const difficulty = textOf(find(find(resource, "difficulty"), "value")).toLowerCase();
+  return {
+    category: keywords[0] || "",
+    tags: keywords.slice(1),
+    difficulty: difficulty ? FROM_LOM_DIFFICULTY[difficulty] || difficulty : undefined
+  };
+}
+
+// Accepts a base64 ZIP package or the XML of one or more assessmentItems; returns { questions } or { error }.
+function parseQti(content) {
+  const text = Buffer.isBuffer(content) ? null : String(content || "").trim();
+  if (text && text.startsWith("<")) {
+    const items = findAll(parseXml(text), "assessmentItem");
+    return items.length ? { questions: items.map((item) => qtiItemToQuestion(item)) } : { error: "qti_items_not_found" };
+  }
+
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(text || "", "base64");
+  const files = isZip(buffer) ? readZip(buffer) : null;
+  if (!files) return { error: "invalid_qti_package" };
+
+  const manifestName = [...files.keys()].find((name) => name.split("/").pop() === "imsmanifest.xml");
+  if (!manifestName) {
+    const items = [...files.entries()]
+      .filter(([name]) => name.endsWith(".xml"))
+      .flatMap(([, data]) => findAll(parseXml(data.toString("utf8")), "assessmentItem"));
+    return items.length ? { questions: items.map((item) => qtiItemToQuestion(item)) } : { error: "qti_items_not_found" };
+  }
+
+  const baseDir = manifestName.slice(0, manifestName.length - "imsmanifest.xml".length);
+  const manifest = parseXml(files.get(manifestName).toString("utf8"));
+  const questions = [];
+  findAll(manifest, "resource")
+    .filter((r) => String(r.attrs.type || "").startsWith("imsqti_item_xmlv2p"))
+    .forEach((resource) => {
+      const data = files.get(`${baseDir}${resource.attrs.href}`);
+      const item = data ? find(parseXml(data.toString("utf8")), "assessmentItem") : null;
+      if (item) questions.push(qtiItemToQuestion(item, resourceMetadata(resource)));
+    });
+  return questions.length ? { questions } : { error: "qti_items_not_found" };
+}
+
+function qtiResponseProcessing(q) {
+  if (q.type === "numeric") {
+    const tolerance = formatNumber(q.numeric_tolerance) || "0";
+    return `  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}">
+          <variable identifier="RESPONSE"/>
+          <correct identifier="RESPONSE"/>
+        </equal>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">${formatNumber(q.marks)}</baseValue></setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+  </responseProcessing>`;
+  }
+  // map_response is the closest QTI template to both partial and per_option; it imports back as partial.
+  const template = q.type === "multiple" && q.scoring_rule !== "all_or_nothing" ? "map_response" : "match_correct";
+  return `  <responseProcessing template="${QTI_TEMPLATES}/${template}"/>`;
+}
+
+function qtiMapping(q) {
+  if (q.type !== "multiple" || q.scoring_rule === "all_or_nothing") return "";
+  const correct = q.distractors.filter((d) => d.correct);
+  const step = formatNumber(Math.round((Number(q.marks) / (correct.length || 1)) * 10000) / 10000);
+  const entries = q.distractors
+    .map((d) => `      <mapEntry mapKey="${xmlEscape(d.id)}" mappedValue="${d.correct ? step : `-${step}`}"/>`)
+    .join("\n");
+  return `\n    <mapping lowerBound="0" upperBound="${formatNumber(q.marks)}" defaultValue="0">\n${entries}\n    </mapping>`;
+}
+
+function toQtiItem(q) {
+  const numeric = q.type === "numeric";
+  const cardinality = q.type === "multiple" ? "multiple" : "single";
+  const correct = numeric
+    ? [formatNumber(q.numeric_answer)]
+    : q.distractors.filter((d) => d.correct).map((d) => d.id);
+  const bodyLines = [];
+  if (numeric) bodyLines.push(`<p>${xmlEscape(q.stem)}</p>`);
+  if (q.image) bodyLines.push(`<p><img src="${xmlEscape(q.image)}" alt=""/></p>`);
+  if (numeric) {
+    bodyLines.push('<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="12"/></p>');
+  } else {
+    bodyLines.push(
+      `<choiceInteraction responseIdentifier="RESPONSE" shuffle="true" maxChoices="${cardinality === "multiple" ? 0 : 1}">`,
+      `  <prompt>${xmlEscape(q.stem)}</prompt>`,
+      ...q.distractors.map((d) => `  <simpleChoice identifier="${xmlEscape(d.id)}">${xmlEscape(d.text)}</simpleChoice>`),
+      "</choiceInteraction>"
+    );
+  }
+  const feedback = q.explanation
+    ? `\n  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="explanation" showHide="hide">${xmlEscape(q.explanation)}</modalFeedback>`
+    : "";
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_NS} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+  identifier="${xmlEscape(q.id)}" title="${xmlEscape(q.id)}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="${numeric ? "float" : "identifier"}">
+    <correctResponse>
+${correct.map((v) => `      <value>${xmlEscape(v)}</value>`).join("\n")}
+    </correctResponse>${qtiMapping(q)}
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float" normalMaximum="${formatNumber(q.marks)}">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+${bodyLines.map((line) => `    ${line}`).join("\n")}
+  </itemBody>
+${qtiResponseProcessing(q)}${feedback}
+</assessmentItem>
+`;
+}
+
+function toQti(questions, { bankCode }) {
+  const entries = questions.map((q, i) => ({
+    question: q,
+    name: `items/${String(i + 1).padStart(4, "0")}_${q.id.replace(/[^A-Za-z0-9_.-]/g, "_")}.xml`
+  }));
+  const resources = entries.map(({ question: q, name }, i) => `    <resource identifier="RES-${i + 1}" type="imsqti_item_xmlv2p1" href="${xmlEscape(name)}">
+      <metadata>
+        <imsmd:lom>
+          <imsmd:general>
+            <imsmd:identifier><imsmd:entry>${xmlEscape(q.id)}</imsmd:entry></imsmd:identifier>
+${[q.category, ...(q.tags || [])].map((k) => `            <imsmd:keyword><imsmd:string>${xmlEscape(k)}</imsmd:string></imsmd:keyword>`).join("\n")}
+          </imsmd:general>
+          <imsmd:educational>
+            <imsmd:difficulty><imsmd:source>LOMv1.0</imsmd:source><imsmd:value>${xmlEscape(LOM_DIFFICULTY[q.difficulty] || q.difficulty)}</imsmd:value></imsmd:difficulty>
+          </imsmd:educational>
+        </imsmd:lom>
+      </metadata>
+      <file href="${xmlEscape(name)}"/>
+    </resource>`).join("\n");
+
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM"
+  identifier="MANIFEST-${xmlEscape(bankCode)}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+${resources}
+  </resources>
+</manifest>
+`;
+  return createZip([
+    { name: "imsmanifest.xml", data: manifest },
+    ...entries.map(({ question, name }) => ({ name, data: toQtiItem(question) }))
+  ]);
+}
+
+// ---------------------------------------------------------------------------------------------------------
+
+/**
+ * Turns an uploaded file into raw question payloads for buildImportReport. `content` is text, or for QTI a
+ * base64 ZIP package or item XML. Returns { questions } or { error } when the file cannot be read at all;
+ * individual malformed questions are passed through so the import report can reject them by row.
+ */
+export function parseBankFile(format, content) {
+  if (format === "gift") return { questions: parseGift(content) };
+  if (format === "aiken") return { questions: parseAiken(content) };
+  if (format === "csv") return { questions: parseBankCsv(content) };
+  if (format === "qti") return parseQti(content);
+  return { error: "unsupported_bank_format" };
+}
+
+/**
+ * Serializes bank questions (as returned by loadBankQuestions) for download. Returns
+ * { body, contentType, extension, skipped } where `skipped` counts questions the format cannot express.
+ */
+export function serializeBank(format, questions, { bankCode, plain = false } = {}) {
+  if (format === "gift") return { body: toGift(questions), contentType: "text/plain; charset=utf-8", extension: "gift.txt", skipped: 0 };
+  if (format === "aiken") {
+    const { body, skipped } = toAiken(questions, { plain });
+    return { body, contentType: "text/plain; charset=utf-8", extension: "aiken.txt", skipped };
+  }
+  if (format === "csv") return { body: toBankCsv(questions), contentType: "text/csv", extension: "csv", skipped: 0 };
+  if (format === "qti") return { body: toQti(questions, { bankCode }), contentType: "application/zip", extension: "qti.zip", skipped: 0 };
+  return null;
+}
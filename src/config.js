@@ -11,7 +11,20 @@ export const config = {
   dbSslRejectUnauthorized: String(process.env.DB_SSL_REJECT_UNAUTHORIZED || "false") === "true",
   redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
   jwtSecret: process.env.JWT_SECRET || "replace-me",
+  adminUsername: process.env.ADMIN_USERNAME || "owner",
   adminPassword: process.env.ADMIN_PASSWORD || "change-me",
+  mediaDir: process.env.MEDIA_DIR || "./data/media",
+  mediaMaxBytes: Number(process.env.MEDIA_MAX_BYTES || 2 * 1024 * 1024),
+  lockout: {
+    windowSeconds: Number(process.env.LOCKOUT_WINDOW_SECONDS || 15 * 60),
+    maxFailures: Number(process.env.LOCKOUT_MAX_FAILURES || 5),
+    ipMaxFailures: Number(process.env.LOCKOUT_IP_MAX_FAILURES || 50),
+    baseSeconds: Number(process.env.LOCKOUT_BASE_SECONDS || 60),
+    maxSeconds: Number(process.env.LOCKOUT_MAX_SECONDS || 60 * 60)
+  },
+  eventRateLimit: Number(process.env.EVENT_RATE_LIMIT || 30),
+  authStartRateLimit: Number(process.env.AUTH_START_RATE_LIMIT || 120),
+  studentTokenMinutes: Number(process.env.STUDENT_TOKEN_MINUTES || 15),
   defaults: {
     code: process.env.DEFAULT_ASSESSMENT_CODE || "ASSESS-2026",
     passcode: process.env.DEFAULT_ASSESSMENT_PASSCODE || "",
@@ -1,7 +1,10 @@
 import pg from "pg";
 import { config } from "./config.js";
 
-const { Pool } = pg;
+const { Pool, types } = pg;
+
+// NUMERIC columns (fractional scores) are returned as numbers rather than strings.
+types.setTypeParser(types.builtins.NUMERIC, (value) => (value === null ? null : Number(value)));
 
 function buildConnectionString() {
   return config.databaseUrl;
@@ -0,0 +1,227 @@
+import { query, withTx } from "./db.js";
+import { isAnswered } from "./questionTypes.js";
+import { listSessionAnswers } from "./sessions.js";
+
+// Per-event contribution to a session's risk score; unlisted types count as DEFAULT_EVENT_WEIGHT.
+const EVENT_WEIGHTS = {
+  tab_switch: 6,
+  window_blur: 3,
+  fullscreen_exit: 5,
+  devtools_suspected: 15,
+  print_attempt: 8,
+  blocked_shortcut: 4,
+  back_navigation_attempt: 2,
+  session_resumed: 4,
+  inactivity: 1,
+  question_timeout: 0,
+  timer_expired: 0,
+  fullscreen_request_failed: 0
+};
+const DEFAULT_EVENT_WEIGHT = 3;
+const MAX_VIOLATION_POINTS = 50;
+const AUTO_SUBMIT_POINTS = 10;
+const SUSPICIOUS_DEVICE_POINTS = 10;
+const PAIR_SHARE_OF_RISK = 0.4;
+
+// Two answers to the same question count as synchronised when submitted this close together.
+const SYNC_WINDOW_MS = 5000;
+const MIN_SHARED_WRONG = 3;
+const MIN_WRONG_MATCH_RATIO = 0.6;
+const MIN_SYNC_QUESTIONS = 5;
+const MIN_SYNC_RATIO = 0.8;
+
+function answerKey(answer) {
+  if (!isAnswered(answer)) return null;
+  if (Array.isArray(answer.selectedOriginalIds)) return answer.selectedOriginalIds.slice().sort().join("|");
+  if (answer.numericValue != null) return `n:${answer.numericValue}`;
+  return answer.selectedOriginalId;
+}
+
+function riskLevel(score) {
+  if (score >= 60) return "high";
+  if (score >= 30) return "medium";
+  return "low";
+}
+
+function isSuspiciousDevice(session) {
+  const ua = String(session.user_agent || "").toLowerCase();
+  return !ua || ua === "unknown" || /headless|phantomjs|selenium|puppeteer|playwright/.test(ua);
+}
+
+function toProfile(row) {
+  const credits = new Map((row.details || []).map((d) => [d.questionId, Number(d.credit ?? (d.isCorrect ? 1 : 0))]));
+  const answers = new Map();
+  listSessionAnswers(row).forEach((a) => {
+    const key = answerKey(a);
+    if (key == null) return;
+    answers.set(a.questionId, {
+      key,
+      wrong: (credits.get(a.questionId) ?? 0) === 0,
+      answeredAt: a.answeredAt ? new Date(a.answeredAt).getTime() : null
+    });
+  });
+  return { row, answers, device: `${row.user_agent}|${row.screen_resolution}` };
+}
+
+function comparePair(a, b) {
+  let shared = 0;
+  let identical = 0;
+  let bothWrong = 0;
+  let sharedWrong = 0;
+  let synchronized = 0;
+  a.answers.forEach((left, questionId) => {
+    const right = b.answers.get(questionId);
+    if (!right) return;
+    shared += 1;
+    if (left.key === right.key) identical += 1;
+    if (left.wrong && right.wrong) {
+      bothWrong += 1;
+      if (left.key === right.key) sharedWrong += 1;
+    }
+    if (left.answeredAt != null && right.answeredAt != null && Math.abs(left.answeredAt - right.answeredAt) <= SYNC_WINDOW_MS) {
+      synchronized += 1;
+    }
+  });
+
+  const wrongMatchRatio = bothWrong ? sharedWrong / bothWrong : 0;
+  const syncRatio = shared ? synchronized / shared : 0;
+  const identicalRatio = shared ? identical / shared : 0;
+  const sameDevice = a.device === b.device;
+
+  const reasons = [];
+  if (sharedWrong >= MIN_SHARED_WRONG && wrongMatchRatio >= MIN_WRONG_MATCH_RATIO) reasons.push("identical_wrong_answers");
+  if (shared >= MIN_SYNC_QUESTIONS && syncRatio >= MIN_SYNC_RATIO && identicalRatio >= MIN_SYNC_RATIO) {
+    reasons.push("synchronized_timing");
+  }
+  if (reasons.length && sameDevice) reasons.push("same_device_profile");
+
+  // Matching wrong answers carry most of the weight: honest candidates rarely pick the same distractor repeatedly.
+  const similarityScore = Math.round(100 * Math.min(1,
+    0.6 * wrongMatchRatio * Math.min(1, sharedWrong / (MIN_SHARED_WRONG + 2))
+    + 0.25 * syncRatio * identicalRatio
+    + 0.15 * (sameDevice ? identicalRatio : 0)
+  ));
+
+  return { shared, identical, sharedWrong, synchronized, similarityScore, reasons };
+}
+
+function violationPoints(countsByType) {
+  const points = Object.entries(countsByType || {}).reduce(
+    (sum, [type, count]) => sum + (EVENT_WEIGHTS[type] ?? DEFAULT_EVENT_WEIGHT) * Number(count),
+    0
+  );
+  return Math.min(MAX_VIOLATION_POINTS, points);
+}
+
+/**
+ * Post-assessment integrity job: scores every non-voided submission of the assessment and replaces the
+ * stored risk scores and flagged pairs. Comparisons are pairwise, so expect O(n²) work per assessment.
+ */
+export async function runIntegrityAnalysis(assessmentId) {
+  const out = await query(
+    `SELECT s.token, s.student_name, s.student_id, s.user_agent, s.screen_resolution,
+            s.answers, s.answer_map, s.navigation_mode,
+            sub.auto_submitted, sub.result_payload->'details' AS details,
+            COALESCE(v.counts, '{}'::jsonb) AS violation_counts
+     FROM submissions sub
+     JOIN sessions s ON s.token = sub.session_token
+     LEFT JOIN LATERAL (
+       SELECT jsonb_object_agg(event_type, count) AS counts
+       FROM (
+         SELECT event_type, COUNT(*)::int AS count
+         FROM violation_events ve
+         WHERE ve.session_token = s.token
+         GROUP BY event_type
+       ) grouped
+     ) v ON true
+     WHERE sub.assessment_id = $1 AND sub.voided_at IS NULL`,
+    [assessmentId]
+  );
+
+  const profiles = out.rows.map(toProfile);
+  const pairs = [];
+  const maxPairScore = new Map();
+  for (let i = 0; i < profiles.length; i += 1) {
+    for (let j = i + 1; j < profiles.length; j += 1) {
+      const result = comparePair(profiles[i], profiles[j]);
+      const a = profiles[i].row.token;
+      const b = profiles[j].row.token;
+      if (!result.reasons.length) continue;
+      pairs.push({ sessionA: a, sessionB: b, ...result });
+      maxPairScore.set(a, Math.max(maxPairScore.get(a) || 0, result.similarityScore));
+      maxPairScore.set(b, Math.max(maxPairScore.get(b) || 0, result.similarityScore));
+    }
+  }
+
+  const scores = profiles.map(({ row }) => {
+    const factors = {
+      violationPoints: violationPoints(row.violation_counts),
+      violationCounts: row.violation_counts,
+      autoSubmitted: !!row.auto_submitted,
+      suspiciousDevice: isSuspiciousDevice(row),
+      maxPairSimilarity: maxPairScore.get(row.token) || 0
+    };
+    const riskScore = Math.min(100, Math.round(
+      factors.violationPoints
+      + (factors.autoSubmitted ? AUTO_SUBMIT_POINTS : 0)
+      + (factors.suspiciousDevice ? SUSPICIOUS_DEVICE_POINTS : 0)
+      + PAIR_SHARE_OF_RISK * factors.maxPairSimilarity
+    ));
+    return { token: row.token, riskScore, riskLevel: riskLevel(riskScore), factors };
+  });
+
+  await withTx(async (client) => {
+    await client.query("DELETE FROM session_risk_scores WHERE assessment_id = $1", [assessmentId]);
+    await client.query("DELETE FROM flagged_session_pairs WHERE assessment_id = $1", [assessmentId]);
+    for (const s of scores) {
+      await client.query(
+        `INSERT INTO session_risk_scores (session_token, assessment_id, risk_score, risk_level, factors)
+         VALUES ($1,$2,$3,$4,$5)`,
+        [s.token, assessmentId, s.riskScore, s.riskLevel, JSON.stringify(s.factors)]
+      );
+    }
+    for (const p of pairs) {
+      await client.query(
+        `INSERT INTO flagged_session_pairs (
+           assessment_id, session_a, session_b, similarity_score, shared_questions,
+           identical_answers, shared_wrong_answers, synchronized_answers, reasons
+         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+        [assessmentId, p.sessionA, p.sessionB, p.similarityScore, p.shared, p.identical, p.sharedWrong, p.synchronized, JSON.stringify(p.reasons)]
+      );
+    }
+  });
+
+  return {
+    sessionsAnalysed: scores.length,
+    flaggedPairs: pairs.length,
+    highRisk: scores.filter((s) => s.riskLevel === "high").length
+  };
+}
+
+export async function loadIntegrityReport(assessmentId) {
+  const sessionsRes = await query(
+    `SELECT r.session_token, s.student_name, s.student_id, r.risk_score, r.risk_level, r.factors, r.computed_at
+     FROM session_risk_scores r
+     JOIN sessions s ON s.token = r.session_token
+     WHERE r.assessment_id = $1
+     ORDER BY r.risk_score DESC, s.student_id`,
+    [assessmentId]
+  );
+  const pairsRes = await query(
+    `SELECT p.session_a, sa.student_id AS student_a, sa.student_name AS name_a,
+            p.session_b, sb.student_id AS student_b, sb.student_name AS name_b,
+            p.similarity_score, p.shared_questions, p.identical_answers, p.shared_wrong_answers,
+            p.synchronized_answers, p.reasons, p.computed_at
+     FROM flagged_session_pairs p
+     JOIN sessions sa ON sa.token = p.session_a
+     JOIN sessions sb ON sb.token = p.session_b
+     WHERE p.assessment_id = $1
+     ORDER BY p.similarity_score DESC`,
+    [assessmentId]
+  );
+  return {
+    computedAt: sessionsRes.rows[0]?.computed_at || null,
+    sessions: sessionsRes.rows,
+    flaggedPairs: pairsRes.rows
+  };
+}
@@ -0,0 +1,122 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { config } from "./config.js";
+import { query, withTx } from "./db.js";
+import { randomUuid, sanitizeText } from "./utils.js";
+
+// Raster formats only: SVG can carry script, so it is never accepted.
+const IMAGE_SIGNATURES = [
+  { contentType: "image/png", extension: "png", test: (b) => b.length > 8 && b.readUInt32BE(0) === 0x89504e47 },
+  { contentType: "image/jpeg", extension: "jpg", test: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { contentType: "image/gif", extension: "gif", test: (b) => b.length > 6 && /^GIF8[79]a$/.test(b.toString("latin1", 0, 6)) },
+  {
+    contentType: "image/webp",
+    extension: "webp",
+    test: (b) => b.length > 12 && b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WEBP"
+  }
+];
+
+export const ASSET_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// The file signature decides the type; whatever content type the uploader declared is ignored.
+export function detectImageType(buffer) {
+  return IMAGE_SIGNATURES.find((sig) => sig.test(buffer)) || null;
+}
+
+/**
+ * Blob store on local disk. A replacement store (object storage, say) only needs the same
+ * put(key, buffer) / get(key) -> Buffer|null / remove(key) methods; install it with setMediaStore.
+ */
+export function createDiskStore(rootDir) {
+  const resolveKey = (key) => path.join(rootDir, key.slice(0, 2), path.basename(key));
+  return {
+    async put(key, data) {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, data);
+    },
+    async get(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+let store = createDiskStore(path.resolve(config.mediaDir));
+
+export function setMediaStore(next) {
+  store = next;
+}
+
+/**
+ * Validates and stores an uploaded image. Identical bytes already stored for the same bank (or as a shared asset)
+ * are reused rather than duplicated. `audit(run, asset)`, when given, runs in the same transaction as the insert.
+ * Returns the media_assets row, or { error, code } for the route to send.
+ */
+export async function saveAsset({ data, filename, bankCode = null, author, audit }) {
+  if (!data?.length) return { error: "asset_data_required", code: 400 };
+  if (data.length > config.mediaMaxBytes) return { error: "asset_too_large", code: 413, maxBytes: config.mediaMaxBytes };
+  const type = detectImageType(data);
+  if (!type) return { error: "unsupported_asset_type", code: 415 };
+
+  const sha256 = crypto.createHash("sha256").update(data).digest("hex");
+  let writtenKey = null;
+  try {
+    return await withTx(async (client) => {
+      // Serializes concurrent uploads of the same bytes so the dedupe check below cannot race. No unique index:
+      // deleting a bank nulls bank_code and may leave several shared rows with the same hash.
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`media:${bankCode ?? ""}:${sha256}`]);
+      const existing = await client.query(
+        "SELECT * FROM media_assets WHERE sha256 = $1 AND bank_code IS NOT DISTINCT FROM $2 LIMIT 1",
+        [sha256, bankCode]
+      );
+      let asset = existing.rows[0];
+      if (!asset) {
+        const id = randomUuid();
+        const storageKey = `${id}.${type.extension}`;
+        const out = await client.query(
+          `INSERT INTO media_assets (id, bank_code, filename, content_type, size_bytes, sha256, storage_key, uploaded_by)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+           RETURNING *`,
+          [id, bankCode, sanitizeText(filename || storageKey).slice(0, 200), type.contentType, data.length, sha256, storageKey, author || "system"]
+        );
+        asset = out.rows[0];
+        // The row goes in first so a failed insert never leaves a file behind; a failed write rolls the row back.
+        writtenKey = storageKey;
+        await store.put(storageKey, data);
+      }
+      if (audit) await audit(client.query.bind(client), asset);
+      return asset;
+    });
+  } catch (err) {
+    if (writtenKey) await store.remove(writtenKey).catch(() => {});
+    throw err;
+  }
+}
+
+// Returns { asset, data } or null when either the row or the stored blob is missing.
+export async function readAsset(id) {
+  if (!ASSET_ID_PATTERN.test(String(id || ""))) return null;
+  const out = await query("SELECT * FROM media_assets WHERE id = $1", [id]);
+  const asset = out.rows[0];
+  if (!asset) return null;
+  const data = await store.get(asset.storage_key);
+  return data ? { asset, data } : null;
+}
+
+// The stored bytes are only removed once the row's deletion (and `audit(run)`, when given) has committed.
+export async function removeAsset(asset, { audit } = {}) {
+  await withTx(async (client) => {
+    await client.query("DELETE FROM media_assets WHERE id = $1", [asset.id]);
+    if (audit) await audit(client.query.bind(client));
+  });
+  await store.remove(asset.storage_key);
+}
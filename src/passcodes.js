@@ -0,0 +1,92 @@
+import crypto from "node:crypto";
+import { hashPassword, safeEqual, verifyPassword } from "./utils.js";
+
+export const PASSCODE_MODES = ["static", "rotating"];
+export const DEFAULT_PASSCODE_PERIOD_SECONDS = 300;
+export const MIN_PASSCODE_PERIOD_SECONDS = 30;
+export const MAX_PASSCODE_PERIOD_SECONDS = 3600;
+
+const ROTATING_DIGITS = 6;
+
+// Stored form of a static passcode or resume approval code; an empty code stays empty (none required).
+export async function hashAssessmentSecret(value) {
+  return value ? hashPassword(value) : "";
+}
+
+export function generatePasscodeSecret() {
+  return crypto.randomBytes(20).toString("hex");
+}
+
+// RFC 4226 HOTP truncation over the time step, as TOTP authenticator apps do (HMAC-SHA1, 6 digits).
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac("sha1", Buffer.from(secret, "hex")).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** ROTATING_DIGITS;
+  return String(value).padStart(ROTATING_DIGITS, "0");
+}
+
+/**
+ * The rotating passcode shown to invigilators at `at` (ms), with the window it is shown for.
+ */
+export function currentRotatingPasscode(secret, periodSeconds, at = Date.now()) {
+  const periodMs = periodSeconds * 1000;
+  const step = Math.floor(at / periodMs);
+  return {
+    passcode: codeForStep(secret, step),
+    validFrom: new Date(step * periodMs).toISOString(),
+    validUntil: new Date((step + 1) * periodMs).toISOString(),
+    periodSeconds
+  };
+}
+
+// The previous code is still accepted so a student typing it as it rolls over is not turned away.
+function verifyRotatingPasscode(secret, periodSeconds, given, at = Date.now()) {
+  if (!secret || !given) return false;
+  const step = Math.floor(at / (periodSeconds * 1000));
+  const matches = [step, step - 1].map((s) => safeEqual(codeForStep(secret, s), given));
+  return matches.some(Boolean);
+}
+
+/**
+ * Checks `given` against an assessment's passcode or resume approval code (`column`). Only hashed values match;
+ * plaintext ones saved before passcodes were hashed are converted by `npm run migrate`.
+ */
+export async function checkAssessmentSecret(assessment, column, given) {
+  if (column === "passcode" && assessment.passcode_mode === "rotating") {
+    return verifyRotatingPasscode(assessment.passcode_secret, assessment.passcode_period_seconds, given);
+  }
+  const stored = assessment[column] || "";
+  if (!stored) return !given;
+  return verifyPassword(given, stored);
+}
+
+/**
+ * Hashes any passcode or resume approval code still stored as plaintext. Run by the migrate script inside its
+ * transaction (`client`); returns how many values were converted.
+ */
+export async function hashPlaintextAssessmentSecrets(client) {
+  let converted = 0;
+  for (const column of ["passcode", "resume_approval_code"]) {
+    const out = await client.query(
+      `SELECT id, ${column} AS value FROM assessments WHERE ${column} <> '' AND ${column} NOT LIKE 'scrypt$%' FOR UPDATE`
+    );
+    for (const row of out.rows) {
+      await client.query(`UPDATE assessments SET ${column} = $2 WHERE id = $1`, [row.id, await hashPassword(row.value)]);
+      converted += 1;
+    }
+  }
+  return converted;
+}
+
+// Admin responses never carry the stored secrets, only whether they are set.
+export function withoutAssessmentSecrets(row) {
+  if (!row) return row;
+  const { passcode, resume_approval_code: approvalCode, passcode_secret: passcodeSecret, ...rest } = row;
+  return {
+    ...rest,
+    ...(passcode === undefined ? {} : { has_passcode: !!passcode || rest.passcode_mode === "rotating" }),
+    ...(approvalCode === undefined ? {} : { has_resume_approval_code: !!approvalCode })
+  };
+}
@@ -1,12 +1,151 @@
+import { hasPermission, loadAdminUser } from "../adminUsers.js";
+import { config } from "../config.js";
+import { query } from "../db.js";
+import { clientFingerprint } from "../utils.js";
+
+// Query-string tokens end up in access logs and browser history, so they are single-purpose and short-lived.
+const STREAM_TOKEN_SECONDS = 60;
+
+function requestPath(request) {
+  return String(request.url || "").split("?")[0];
+}
+
 export default async function authPlugin(fastify) {
+  // The token only identifies the account; role, scopes and active status are read fresh on every request,
+  // and a token_version mismatch means the password was changed or the account deactivated since sign-in.
+  async function authorizeAdmin(request, reply, claims) {
+    if (claims?.role !== "admin" || !claims.uid) {
+      return reply.code(403).send({ error: "forbidden" });
+    }
+    const admin = await loadAdminUser(claims.uid);
+    if (!admin || !admin.active || admin.token_version !== claims.tv) {
+      return reply.code(401).send({ error: "unauthorized" });
+    }
+    const permission = request.routeOptions.config?.permission;
+    if (!hasPermission(admin, permission)) {
+      return reply.code(403).send({ error: "forbidden", permission: permission || "owner" });
+    }
+    request.admin = admin;
+  }
+
   fastify.decorate("adminAuth", async function adminAuth(request, reply) {
     try {
       await request.jwtVerify();
-      if (request.user?.role !== "admin") {
-        return reply.code(403).send({ error: "forbidden" });
-      }
     } catch {
       return reply.code(401).send({ error: "unauthorized" });
     }
+    return authorizeAdmin(request, reply, request.user);
+  });
+
+  // A stream token names one request path (including the route prefix) and stays tied to the account's
+  // token_version; it is never accepted as a bearer token, nor is the admin JWT accepted in its place.
+  fastify.decorate("signAdminStreamToken", function signAdminStreamToken(admin, path) {
+    const token = fastify.jwt.sign(
+      { role: "admin_stream", uid: admin.id, username: admin.username, tv: admin.token_version, path },
+      { expiresIn: STREAM_TOKEN_SECONDS }
+    );
+    return { token, expiresInSeconds: STREAM_TOKEN_SECONDS };
+  });
+
+  // For EventSource and <img> requests, which cannot set an Authorization header: they carry a stream token
+  // from POST /admin/stream-token as ?access_token= instead.
+  fastify.decorate("adminStreamAuth", async function adminStreamAuth(request, reply) {
+    const queryToken = request.query?.access_token;
+    if (!queryToken || request.headers.authorization) {
+      return fastify.adminAuth.call(this, request, reply);
+    }
+    let claims;
+    try {
+      claims = fastify.jwt.verify(String(queryToken));
+    } catch {
+      return reply.code(401).send({ error: "unauthorized" });
+    }
+    if (claims?.role !== "admin_stream" || claims.path !== requestPath(request)) {
+      return reply.code(403).send({ error: "forbidden" });
+    }
+    request.user = claims;
+    return authorizeAdmin(request, reply, { ...claims, role: "admin" });
+  });
+
+  // Options for an admin route, e.g. `fastify.get(url, fastify.adminRoute("banks:read"), handler)`. Pass
+  // `stream: true` for routes that must also accept a stream token as ?access_token=; other options go
+  // through to Fastify.
+  fastify.decorate("adminRoute", function adminRoute(permission, { stream = false, ...options } = {}) {
+    return {
+      ...options,
+      preHandler: stream ? fastify.adminStreamAuth : fastify.adminAuth,
+      config: { ...options.config, permission }
+    };
+  });
+
+  // Student credentials name one session (`sid`) and its credential_version (`cv`), plus the client fingerprint
+  // (`fp`) when the assessment binds it. They are short-lived and renewed while in use.
+  fastify.decorate("signSessionCredential", function signSessionCredential(session, fingerprint = null) {
+    return fastify.jwt.sign(
+      { role: "student", sid: session.token, cv: session.credential_version ?? 0, ...(fingerprint ? { fp: fingerprint } : {}) },
+      { expiresIn: `${config.studentTokenMinutes}m` }
+    );
+  });
+
+  // Image URLs handed to the client carry their own token: one session, one asset, and the same lifetime,
+  // credential_version and fingerprint as the credential, so the credential itself never goes in a query string.
+  fastify.decorate("sessionAssetUrl", function sessionAssetUrl(session, assetId, fingerprint = null) {
+    const token = fastify.jwt.sign(
+      { role: "asset", sid: session.token, cv: session.credential_version ?? 0, aid: assetId, ...(fingerprint ? { fp: fingerprint } : {}) },
+      { expiresIn: `${config.studentTokenMinutes}m` }
+    );
+    return `/session/${session.token}/assets/${assetId}?access_token=${encodeURIComponent(token)}`;
+  });
+
+  async function authorizeSession(request, reply, rawToken, role = "student") {
+    let claims;
+    try {
+      claims = fastify.jwt.verify(rawToken);
+    } catch {
+      return reply.code(401).send({ error: "session_credential_required" });
+    }
+    if (claims?.role !== role || claims.sid !== String(request.params.token || "")) {
+      return reply.code(403).send({ error: "forbidden" });
+    }
+    if (claims.fp) {
+      const screen = request.headers["x-client-screen"] ?? request.query?.screen;
+      if (clientFingerprint(request.headers["user-agent"], screen) !== claims.fp) {
+        return reply.code(401).send({ error: "fingerprint_mismatch" });
+      }
+    }
+    // A resume elsewhere bumps credential_version, which retires every credential issued before it.
+    const out = await query("SELECT credential_version FROM sessions WHERE token = $1", [claims.sid]);
+    if (!out.rows[0]) return reply.code(404).send({ error: "session_not_found" });
+    if (out.rows[0].credential_version !== claims.cv) {
+      return reply.code(401).send({ error: "session_credential_revoked" });
+    }
+    request.student = claims;
+    if (role === "student" && claims.exp * 1000 - Date.now() < config.studentTokenMinutes * 30 * 1000) {
+      reply.header("X-Session-Credential", fastify.signSessionCredential({ token: claims.sid, credential_version: claims.cv }, claims.fp));
+    }
+  }
+
+  fastify.decorate("sessionAuth", async function sessionAuth(request, reply) {
+    const header = String(request.headers.authorization || "");
+    return authorizeSession(request, reply, header.startsWith("Bearer ") ? header.slice(7) : "");
+  });
+
+  // For <img> requests, which cannot set headers: the asset token from sessionAssetUrl (and `screen`, if the
+  // fingerprint is bound) comes in the query, and only opens the asset it was signed for.
+  fastify.decorate("sessionAssetAuth", async function sessionAssetAuth(request, reply) {
+    if (request.headers.authorization) return fastify.sessionAuth.call(this, request, reply);
+    await authorizeSession(request, reply, String(request.query?.access_token || ""), "asset");
+    if (reply.sent) return reply;
+    if (request.student.aid !== String(request.params.assetId || "").toLowerCase()) {
+      return reply.code(403).send({ error: "forbidden" });
+    }
+  });
+
+  // Options for a `/session/:token/*` route. Pass `assetToken: true` to also accept an asset token as ?access_token=.
+  fastify.decorate("sessionRoute", function sessionRoute({ assetToken = false, ...options } = {}) {
+    return { ...options, preHandler: assetToken ? fastify.sessionAssetAuth : fastify.sessionAuth };
   });
 }
+
+// Expose the decorators to sibling route plugins instead of keeping them encapsulated (what fastify-plugin does).
+authPlugin[Symbol.for("skip-override")] = true;
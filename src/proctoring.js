@@ -0,0 +1,83 @@
+import { EventEmitter } from "node:events";
+import { query } from "./db.js";
+import { redis } from "./redis.js";
+import { getRemainingMs } from "./sessions.js";
+
+const CHANNEL = "proctor:events";
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Events fan out through Redis so every API instance's dashboards see them; locally emitted when Redis is down.
+const subscriber = redis.duplicate();
+subscriber.on("error", () => {
+  // Same contract as the main client: Redis outages only degrade live updates.
+});
+subscriber.on("ready", () => {
+  subscriber.subscribe(CHANNEL).catch(() => {});
+});
+subscriber.on("message", (channel, message) => {
+  if (channel !== CHANNEL) return;
+  try {
+    const event = JSON.parse(message);
+    bus.emit(event.assessmentId, event);
+  } catch {
+    // Ignore malformed payloads from other publishers.
+  }
+});
+
+export async function publishProctorEvent(assessmentId, type, data = {}) {
+  const event = { assessmentId, type, at: new Date().toISOString(), ...data };
+  try {
+    if (subscriber.status !== "ready") throw new Error("subscriber_not_ready");
+    await redis.publish(CHANNEL, JSON.stringify(event));
+  } catch {
+    bus.emit(assessmentId, event);
+  }
+}
+
+export function subscribeProctorEvents(assessmentId, listener) {
+  bus.on(assessmentId, listener);
+  return () => bus.off(assessmentId, listener);
+}
+
+export function closeProctoring() {
+  subscriber.disconnect();
+}
+
+export async function loadLiveSessions(assessmentId) {
+  const out = await query(
+    `SELECT s.token, s.student_name, s.student_id, s.started_at, s.expires_at, s.paused_at, s.status,
+            (CASE WHEN s.navigation_mode = 'free'
+                  THEN (SELECT COUNT(*) FROM jsonb_object_keys(s.answer_map))
+                  ELSE jsonb_array_length(s.answers) END)::int AS answered,
+            jsonb_array_length(s.question_order)::int AS total,
+            COALESCE(v.count, 0)::int AS violation_count,
+            v.last_event_type, v.last_event_at
+     FROM sessions s
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*) AS count,
+              (ARRAY_AGG(event_type ORDER BY event_at DESC))[1] AS last_event_type,
+              MAX(event_at) AS last_event_at
+       FROM violation_events ve
+       WHERE ve.session_token = s.token
+     ) v ON true
+     WHERE s.assessment_id = $1 AND s.status IN ('active', 'paused')
+     ORDER BY s.started_at`,
+    [assessmentId]
+  );
+  return out.rows.map((r) => ({
+    token: r.token,
+    studentName: r.student_name,
+    studentId: r.student_id,
+    status: r.status,
+    answered: r.answered,
+    total: r.total,
+    startedAt: r.started_at,
+    expiresAt: r.expires_at,
+    pausedAt: r.paused_at,
+    remainingMs: getRemainingMs(r),
+    violationCount: r.violation_count,
+    lastEventType: r.last_event_type,
+    lastEventAt: r.last_event_at
+  }));
+}
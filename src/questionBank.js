@@ -0,0 +1,524 @@
+import { query, withTx } from "./db.js";
+import { ASSET_ID_PATTERN } from "./media.js";
+import { QUESTION_TYPES, SCORING_RULES } from "./questionTypes.js";
+import { sanitizeRichText, sanitizeText } from "./utils.js";
+
+export const IMPORT_MODES = ["replace", "merge"];
+
+export function normalizeBankCode(value) {
+  const cleaned = sanitizeText(value || "default").toLowerCase();
+  return cleaned.replace(/[^a-z0-9_-]/g, "") || "default";
+}
+
+export async function ensureBank(clientOrQuery, bankCode, name = "Question Bank", description = "") {
+  const run = clientOrQuery.query ? clientOrQuery.query.bind(clientOrQuery) : query;
+  await run(
+    `INSERT INTO question_banks (code, name, description)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (code) DO NOTHING`,
+    [bankCode, sanitizeText(name), sanitizeText(description)]
+  );
+}
+
+export const MAX_QUESTION_TAGS = 20;
+const MAX_TAG_LENGTH = 64;
+
+export const QUESTION_SORTS = {
+  id: "q.id",
+  category: "q.category, q.id",
+  difficulty: "q.difficulty, q.id",
+  updated: "q.updated_at DESC, q.id"
+};
+
+/**
+ * Tags are free-form labels ("objective:lo3", "topic:algebra", "source:2023 paper"). Accepts an array or a
+ * comma/semicolon separated string; returns them trimmed, lower-cased and de-duplicated in input order.
+ */
+export function normalizeTags(value) {
+  const parts = Array.isArray(value) ? value : String(value ?? "").split(/[,;]/);
+  const tags = parts
+    .map((t) => sanitizeText(t).toLowerCase().replace(/\s+/g, " "))
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// WHERE clause and parameters for loadBankQuestions filters; `text` matches ID, stem, explanation and option text.
+function questionFilterClause(bankCode, filters) {
+  const params = [bankCode];
+  const where = ["q.bank_code = $1"];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.text) {
+    const pattern = param(`%${filters.text.replace(/[\\%_]/g, "\\$&")}%`);
+    where.push(`(q.id ILIKE ${pattern} OR q.stem ILIKE ${pattern} OR q.explanation ILIKE ${pattern}
+      OR EXISTS (SELECT 1 FROM bank_question_options so
+                 WHERE so.bank_code = q.bank_code AND so.question_id = q.id AND so.option_text ILIKE ${pattern}))`);
+  }
+  if (filters.category) where.push(`LOWER(q.category) = LOWER(${param(filters.category)})`);
+  if (filters.difficulty) where.push(`q.difficulty = ${param(filters.difficulty)}`);
+  if (filters.type) where.push(`q.question_type = ${param(filters.type)}`);
+  if (filters.tags?.length) {
+    where.push(`q.tags ${filters.tagMode === "any" ? "&&" : "@>"} ${param(filters.tags)}::text[]`);
+  }
+  return { where: where.join("\n       AND "), params };
+}
+
+/**
+ * Questions in the admin API shape (options as { id, text, correct }). `filters` is
+ * { text, category, difficulty, type, tags, tagMode: "all"|"any", sort }; with `limit` set the result is one page.
+ * Returns { total, questions }.
+ */
+export async function loadBankQuestions(bankCode, filters = {}, { limit = null, offset = 0 } = {}) {
+  const { where, params } = questionFilterClause(bankCode, filters);
+  const orderBy = QUESTION_SORTS[filters.sort] || QUESTION_SORTS.id;
+  const paging = limit == null ? "" : `\n     LIMIT ${Number(limit)} OFFSET ${Number(offset)}`;
+
+  const out = await query(
+    `SELECT q.id, q.category, q.difficulty, q.stem, q.explanation, q.image,
+            q.question_type AS type, q.scoring_rule, q.numeric_answer, q.numeric_tolerance, q.marks,
+            q.time_limit_seconds, q.revision, q.image_asset_id, q.tags,
+            COALESCE(json_agg(json_build_object(
+              'id', o.option_key,
+              'text', o.option_text,
+              'correct', o.is_correct
+            ) ORDER BY o.option_key) FILTER (WHERE o.option_key IS NOT NULL), '[]'::json) AS distractors
+     FROM bank_questions q
+     LEFT JOIN bank_question_options o
+       ON o.bank_code = q.bank_code
+      AND o.question_id = q.id
+     WHERE ${where}
+     GROUP BY q.id, q.category, q.difficulty, q.stem, q.explanation, q.image,
+              q.question_type, q.scoring_rule, q.numeric_answer, q.numeric_tolerance, q.marks, q.time_limit_seconds, q.revision,
+              q.image_asset_id, q.tags, q.updated_at
+     ORDER BY ${orderBy}${paging}`,
+    params
+  );
+  if (limit == null) return { total: out.rows.length, questions: out.rows };
+
+  const counted = await query(`SELECT COUNT(*)::int AS total FROM bank_questions q WHERE ${where}`, params);
+  return { total: counted.rows[0].total, questions: out.rows };
+}
+
+// Tag usage counts for a bank, for building filter pickers.
+export async function loadBankTags(bankCode) {
+  const out = await query(
+    `SELECT tag, COUNT(*)::int AS questions
+     FROM bank_questions, unnest(tags) AS tag
+     WHERE bank_code = $1
+     GROUP BY tag
+     ORDER BY tag`,
+    [bankCode]
+  );
+  return out.rows;
+}
+
+const QUESTION_TYPE_ALIASES = {
+  mcq: "single",
+  multi: "multiple",
+  multiple_response: "multiple",
+  tf: "true_false",
+  truefalse: "true_false",
+  number: "numeric"
+};
+
+function parseBooleanAnswer(value) {
+  if (typeof value === "boolean") return value;
+  const v = sanitizeText(value).toLowerCase();
+  if (["true", "t", "yes"].includes(v)) return true;
+  if (["false", "f", "no"].includes(v)) return false;
+  return null;
+}
+
+export function normalizeQuestionPayload(body) {
+  const id = sanitizeText(body.id);
+  const category = sanitizeText(body.category);
+  const difficulty = sanitizeText(body.difficulty || "medium");
+  const stem = sanitizeRichText(body.stem);
+  const explanation = sanitizeRichText(body.explanation || "");
+  const image = body.image ? sanitizeText(body.image) : null;
+  const imageAssetId = sanitizeText(body.imageAssetId || body.image_asset_id || "").toLowerCase() || null;
+  const rawType = sanitizeText(body.type || body.question_type || "single").toLowerCase();
+  const type = QUESTION_TYPE_ALIASES[rawType] || rawType;
+  const scoringRule = sanitizeText(body.scoringRule || body.scoring_rule || "all_or_nothing").toLowerCase();
+  const distractors = Array.isArray(body.distractors) ? body.distractors : [];
+  const tags = normalizeTags(body.tags);
+
+  let normalized = distractors
+    .map((d) => ({
+      option_key: sanitizeText(d.id || d.option_key),
+      option_text: sanitizeRichText(d.text || d.option_text),
+      is_correct: !!d.correct || !!d.is_correct
+    }))
+    .filter((d) => d.option_key && d.option_text);
+
+  // True/false questions may be given as just `answer: true|false`.
+  if (type === "true_false" && !normalized.length) {
+    const answer = parseBooleanAnswer(body.answer);
+    if (answer !== null) {
+      normalized = [
+        { option_key: "true", option_text: "True", is_correct: answer },
+        { option_key: "false", option_text: "False", is_correct: !answer }
+      ];
+    }
+  }
+
+  const rawNumeric = body.numericAnswer ?? body.numeric_answer ?? (type === "numeric" ? body.answer : null);
+  const numericAnswer = rawNumeric == null || rawNumeric === "" ? null : Number(rawNumeric);
+  const numericTolerance = Number(body.tolerance ?? body.numericTolerance ?? body.numeric_tolerance ?? 0);
+  const marks = Number(body.marks ?? body.weight ?? 1);
+  const rawTimeLimit = body.timeLimitSeconds ?? body.time_limit_seconds;
+  const timeLimitSeconds = rawTimeLimit == null || rawTimeLimit === "" ? null : Number(rawTimeLimit);
+
+  return {
+    id,
+    category,
+    difficulty,
+    stem,
+    explanation,
+    image,
+    imageAssetId,
+    type,
+    scoringRule,
+    numericAnswer: type === "numeric" ? numericAnswer : null,
+    numericTolerance: type === "numeric" ? numericTolerance : 0,
+    marks,
+    timeLimitSeconds,
+    tags,
+    distractors: type === "numeric" ? [] : normalized
+  };
+}
+
+// Returns null for a usable question, otherwise a short machine-readable reason.
+export function validateQuestion(q) {
+  if (!q.id) return "id_required";
+  if (!q.category) return "category_required";
+  if (!q.stem) return "stem_required";
+  if (!QUESTION_TYPES.includes(q.type)) return "invalid_question_type";
+  if (!Number.isFinite(q.marks) || q.marks <= 0 || q.marks > 1000) return "invalid_marks";
+  if (q.imageAssetId && !ASSET_ID_PATTERN.test(q.imageAssetId)) return "invalid_image_asset_id";
+  if (q.tags.length > MAX_QUESTION_TAGS) return "too_many_tags";
+  if (q.tags.some((t) => t.length > MAX_TAG_LENGTH)) return "tag_too_long";
+  if (q.timeLimitSeconds != null && (!Number.isInteger(q.timeLimitSeconds) || q.timeLimitSeconds < 1 || q.timeLimitSeconds > 3600)) {
+    return "invalid_time_limit_seconds";
+  }
+
+  if (q.type === "numeric") {
+    if (!Number.isFinite(q.numericAnswer)) return "numeric_answer_required";
+    if (!Number.isFinite(q.numericTolerance) || q.numericTolerance < 0) return "invalid_numeric_tolerance";
+    return null;
+  }
+
+  const correctCount = q.distractors.filter((d) => d.is_correct).length;
+  if (q.type === "true_false") {
+    const keys = q.distractors.map((d) => d.option_key).sort().join(",");
+    if (keys !== "false,true") return "invalid_true_false_options";
+  } else if (q.distractors.length < 2 || q.distractors.length > 6) {
+    return "option_count_out_of_range";
+  }
+  if (q.type === "single" || q.type === "true_false") {
+    if (!correctCount) return "no_correct_option";
+    if (correctCount > 1) return "multiple_correct_options";
+  }
+  if (q.type === "multiple") {
+    if (!correctCount) return "no_correct_option";
+    if (!SCORING_RULES.includes(q.scoringRule)) return "invalid_scoring_rule";
+  }
+  return null;
+}
+
+function stemKey(stem) {
+  return String(stem || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Validates an import payload row by row without touching the database. `existing` holds the bank's current
+ * { id, stem } rows; in "replace" mode those not re-imported would be deleted, so only "merge" checks stems
+ * against them. Rejected rows carry `reasons`; duplicate stems are warnings because rewording may be intended.
+ * When `assetIds` is given, rows naming an image asset outside it are rejected.
+ * Returns { rows, questions, summary } where `questions` are the accepted, normalized questions.
+ */
+export function buildImportReport(payload, existing = [], mode = "replace", { assetIds = null } = {}) {
+  const existingIds = new Set(existing.map((q) => q.id));
+  const existingStems = new Map();
+  if (mode === "merge") {
+    existing.forEach((q) => {
+      const key = stemKey(q.stem);
+      if (!existingStems.has(key)) existingStems.set(key, q.id);
+    });
+  }
+  const seenIds = new Map();
+  const seenStems = new Map();
+  const questions = [];
+
+  const rows = payload.map((raw, index) => {
+    const row = index + 1;
+    const q = normalizeQuestionPayload(raw && typeof raw === "object" ? raw : {});
+    const entry = { row, id: q.id || null, reasons: [], warnings: [] };
+
+    const invalidReason = validateQuestion(q);
+    if (invalidReason) entry.reasons.push(invalidReason);
+    if (!invalidReason && assetIds && q.imageAssetId && !assetIds.has(q.imageAssetId)) {
+      entry.reasons.push("image_asset_not_found");
+    }
+    if (q.id && seenIds.has(q.id)) {
+      entry.reasons.push("duplicate_id");
+      entry.duplicateIdOfRow = seenIds.get(q.id);
+    }
+
+    const key = stemKey(q.stem);
+    const bankMatch = key ? existingStems.get(key) : null;
+    if (key && seenStems.has(key)) {
+      entry.warnings.push("duplicate_stem");
+      entry.duplicateStemOfRow = seenStems.get(key);
+    } else if (bankMatch && bankMatch !== q.id) {
+      entry.warnings.push("duplicate_stem_in_bank");
+      entry.duplicateStemOfQuestion = bankMatch;
+    }
+
+    if (q.id && !seenIds.has(q.id)) seenIds.set(q.id, row);
+    if (key && !seenStems.has(key)) seenStems.set(key, row);
+
+    if (entry.reasons.length) return { ...entry, status: "rejected" };
+    questions.push(q);
+    return { ...entry, status: "accepted", action: existingIds.has(q.id) ? "update" : "create" };
+  });
+
+  const acceptedIds = new Set(questions.map((q) => q.id));
+  const accepted = rows.filter((r) => r.status === "accepted");
+  return {
+    rows,
+    questions,
+    summary: {
+      total: rows.length,
+      accepted: accepted.length,
+      rejected: rows.length - accepted.length,
+      withWarnings: rows.filter((r) => r.warnings.length).length,
+      created: accepted.filter((r) => r.action === "create").length,
+      updated: accepted.filter((r) => r.action === "update").length,
+      deleted: mode === "replace" ? existing.filter((q) => !acceptedIds.has(q.id)).length : 0
+    }
+  };
+}
+
+// Which of the questions' image asset IDs exist and are usable in `bankCode` (its own assets or shared ones);
+// `run` is query or a transaction client's query.
+export async function existingAssetIds(run, questions, bankCode) {
+  const ids = [...new Set(questions.map((q) => q.imageAssetId).filter(Boolean))];
+  if (!ids.length) return new Set();
+  const out = await run(
+    "SELECT id FROM media_assets WHERE id = ANY($1) AND (bank_code IS NULL OR bank_code = $2)",
+    [ids, bankCode]
+  );
+  return new Set(out.rows.map((r) => r.id));
+}
+
+// Canonical form stored in each revision; also the shape saveBankQuestion accepts, so any revision can be restored.
+export function toRevisionData(q) {
+  return {
+    id: q.id,
+    category: q.category,
+    difficulty: q.difficulty,
+    stem: q.stem,
+    explanation: q.explanation ?? "",
+    image: q.image ?? null,
+    imageAssetId: q.imageAssetId ?? null,
+    type: q.type || "single",
+    scoringRule: q.scoringRule || "all_or_nothing",
+    numericAnswer: q.numericAnswer == null ? null : Number(q.numericAnswer),
+    numericTolerance: Number(q.numericTolerance || 0),
+    marks: Number(q.marks ?? 1),
+    timeLimitSeconds: q.timeLimitSeconds == null ? null : Number(q.timeLimitSeconds),
+    tags: normalizeTags(q.tags || []),
+    distractors: (q.distractors || [])
+      .map((d) => ({ option_key: d.option_key, option_text: d.option_text, is_correct: !!d.is_correct }))
+      .sort((a, b) => a.option_key.localeCompare(b.option_key))
+  };
+}
+
+async function latestRevision(client, bankCode, questionId) {
+  const out = await client.query(
+    `SELECT revision, data, deleted
+     FROM bank_question_revisions
+     WHERE bank_code = $1 AND question_id = $2
+     ORDER BY revision DESC
+     LIMIT 1`,
+    [bankCode, questionId]
+  );
+  return out.rows[0] || null;
+}
+
+async function appendRevision(client, bankCode, questionId, data, meta, deleted = false) {
+  const latest = await latestRevision(client, bankCode, questionId);
+  const revision = (latest?.revision || 0) + 1;
+  await client.query(
+    `INSERT INTO bank_question_revisions (bank_code, question_id, revision, data, deleted, change_type, author)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+    [bankCode, questionId, revision, JSON.stringify(data), deleted, meta.changeType, meta.author || "system"]
+  );
+  return revision;
+}
+
+/**
+ * Writes a normalized question and records a revision when its content changed.
+ * `meta` is { author, changeType }. Returns { revision, changed }.
+ */
+export async function saveBankQuestion(client, bankCode, q, meta) {
+  const data = toRevisionData(q);
+  const existing = await client.query(
+    "SELECT revision FROM bank_questions WHERE bank_code = $1 AND id = $2",
+    [bankCode, data.id]
+  );
+  const latest = await latestRevision(client, bankCode, data.id);
+  if (existing.rows[0] && latest && !latest.deleted && JSON.stringify(toRevisionData(latest.data)) === JSON.stringify(data)) {
+    return { revision: latest.revision, changed: false };
+  }
+
+  const revision = await appendRevision(client, bankCode, data.id, data, meta);
+  await client.query(
+    `INSERT INTO bank_questions (
+       bank_code, id, category, difficulty, stem, explanation, image,
+       question_type, scoring_rule, numeric_answer, numeric_tolerance, marks, time_limit_seconds, revision, image_asset_id,
+       tags
+     ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+     ON CONFLICT (bank_code, id)
+     DO UPDATE SET category = EXCLUDED.category,
+                   difficulty = EXCLUDED.difficulty,
+                   stem = EXCLUDED.stem,
+                   explanation = EXCLUDED.explanation,
+                   image = EXCLUDED.image,
+                   question_type = EXCLUDED.question_type,
+                   scoring_rule = EXCLUDED.scoring_rule,
+                   numeric_answer = EXCLUDED.numeric_answer,
+                   numeric_tolerance = EXCLUDED.numeric_tolerance,
+                   marks = EXCLUDED.marks,
+                   time_limit_seconds = EXCLUDED.time_limit_seconds,
+                   revision = EXCLUDED.revision,
+                   image_asset_id = EXCLUDED.image_asset_id,
+                   tags = EXCLUDED.tags,
+                   updated_at = NOW()`,
+    [
+      bankCode, data.id, data.category, data.difficulty, data.stem, data.explanation, data.image,
+      data.type, data.scoringRule, data.numericAnswer, data.numericTolerance, data.marks, data.timeLimitSeconds, revision,
+      data.imageAssetId, data.tags
+    ]
+  );
+
+  await client.query("DELETE FROM bank_question_options WHERE bank_code = $1 AND question_id = $2", [bankCode, data.id]);
+  for (const option of data.distractors) {
+    await client.query(
+      `INSERT INTO bank_question_options (bank_code, question_id, option_key, option_text, is_correct)
+       VALUES ($1,$2,$3,$4,$5)`,
+      [bankCode, data.id, option.option_key, option.option_text, option.is_correct]
+    );
+  }
+  return { revision, changed: true };
+}
+
+// Deletion keeps history: the tombstone revision carries the last content so it can be restored.
+export async function deleteBankQuestion(client, bankCode, questionId, meta) {
+  const out = await client.query(
+    "DELETE FROM bank_questions WHERE bank_code = $1 AND id = $2 RETURNING id",
+    [bankCode, questionId]
+  );
+  if (!out.rows[0]) return false;
+  const latest = await latestRevision(client, bankCode, questionId);
+  await appendRevision(client, bankCode, questionId, latest?.data || { id: questionId }, meta, true);
+  return true;
+}
+
+// Makes the bank hold exactly `questions`, deleting (with tombstones) anything not in the list.
+export async function replaceBankQuestions(client, bankCode, questions, meta) {
+  const existing = await client.query("SELECT id FROM bank_questions WHERE bank_code = $1", [bankCode]);
+  const keep = new Set(questions.map((q) => q.id));
+  let deleted = 0;
+  for (const row of existing.rows) {
+    if (!keep.has(row.id) && (await deleteBankQuestion(client, bankCode, row.id, meta))) deleted += 1;
+  }
+  let changed = 0;
+  for (const q of questions) {
+    if ((await saveBankQuestion(client, bankCode, q, meta)).changed) changed += 1;
+  }
+  return { saved: questions.length, changed, deleted };
+}
+
+// Upserts `questions` and leaves every other question in the bank untouched.
+export async function mergeBankQuestions(client, bankCode, questions, meta) {
+  let changed = 0;
+  for (const q of questions) {
+    if ((await saveBankQuestion(client, bankCode, q, meta)).changed) changed += 1;
+  }
+  return { saved: questions.length, changed, deleted: 0 };
+}
+
+export async function restoreRevision(client, bankCode, revisionRow, meta) {
+  if (revisionRow.deleted) {
+    return { deleted: await deleteBankQuestion(client, bankCode, revisionRow.question_id, meta) };
+  }
+  return saveBankQuestion(client, bankCode, revisionRow.data, meta);
+}
+
+/**
+ * Runs an import of raw question payloads. "replace" makes the bank hold exactly the accepted rows, "merge"
+ * upserts them and keeps everything else. `dryRun` only returns the validation report; `strict` refuses to
+ * write anything while any row is rejected. "replace" is always strict, and refuses a file with no accepted rows,
+ * since the questions it leaves out are deleted. `audit(run, details)`, when given, is called inside the write
+ * transaction with the import's counts, so the caller's audit record commits with the import.
+ * Failures come back as { error, code, ... } for the route to send.
+ */
+export async function importQuestions(payload, { bankCode, mode = "replace", dryRun = false, strict = false, author, audit }) {
+  const importMode = sanitizeText(mode || "replace").toLowerCase();
+  if (!IMPORT_MODES.includes(importMode)) return { error: "invalid_import_mode", code: 400 };
+
+  const normalized = payload.map((raw) => normalizeQuestionPayload(raw && typeof raw === "object" ? raw : {}));
+  if (dryRun) {
+    const existing = await query("SELECT id, stem FROM bank_questions WHERE bank_code = $1", [bankCode]);
+    const assetIds = await existingAssetIds(query, normalized, bankCode);
+    const { rows, summary } = buildImportReport(payload, existing.rows, importMode, { assetIds });
+    return { ok: true, dryRun: true, bankCode, mode: importMode, summary, rows };
+  }
+
+  const result = await withTx(async (client) => {
+    const existing = await client.query("SELECT id, stem FROM bank_questions WHERE bank_code = $1", [bankCode]);
+    const assetIds = await existingAssetIds(client.query.bind(client), normalized, bankCode);
+    const report = buildImportReport(payload, existing.rows, importMode, { assetIds });
+    const { accepted, rejected } = report.summary;
+    if ((strict || importMode === "replace") && rejected) return { report };
+    if (importMode === "replace" && !accepted) return { report };
+
+    await ensureBank(client, bankCode, `${bankCode} bank`, "Question bank");
+    const meta = { author, changeType: "import" };
+    const saved = importMode === "merge"
+      ? await mergeBankQuestions(client, bankCode, report.questions, meta)
+      : await replaceBankQuestions(client, bankCode, report.questions, meta);
+    if (audit) {
+      await audit(client.query.bind(client), {
+        mode: importMode,
+        imported: saved.saved,
+        changed: saved.changed,
+        deleted: saved.deleted,
+        rejected: report.summary.rejected
+      });
+    }
+    return { report, saved };
+  });
+
+  const { rows, summary } = result.report;
+  if (!result.saved) {
+    return { error: "import_rows_rejected", code: 422, bankCode, mode: importMode, summary, rows };
+  }
+  return {
+    ok: true,
+    dryRun: false,
+    bankCode,
+    mode: importMode,
+    imported: result.saved.saved,
+    rejected: summary.rejected,
+    changed: result.saved.changed,
+    deleted: result.saved.deleted,
+    summary,
+    rows
+  };
+}
@@ -0,0 +1,117 @@
+import { sanitizeText } from "./utils.js";
+
+export const QUESTION_TYPES = ["single", "multiple", "true_false", "numeric"];
+export const SCORING_RULES = ["all_or_nothing", "partial", "per_option"];
+
+function roundCredit(value) {
+  return Math.round(Math.max(0, Math.min(1, value)) * 100) / 100;
+}
+
+export function isAnswered(answer) {
+  if (!answer) return false;
+  if (Array.isArray(answer.selectedOriginalIds)) return answer.selectedOriginalIds.length > 0;
+  if (answer.numericValue != null) return true;
+  return !!answer.selectedOriginalId;
+}
+
+// Multiple-response credit: all_or_nothing needs the exact set, partial nets right picks against wrong
+// picks over the number of correct options, per_option credits every option judged correctly.
+function scoreMultiple(q, selectedIds) {
+  const options = q.distractors || [];
+  const correctIds = new Set(options.filter((d) => d.correct).map((d) => d.originalId));
+  const picked = new Set(selectedIds);
+  const rightPicks = [...picked].filter((id) => correctIds.has(id)).length;
+  const wrongPicks = picked.size - rightPicks;
+  const exact = wrongPicks === 0 && rightPicks === correctIds.size;
+
+  if (q.scoringRule === "partial") {
+    return correctIds.size ? roundCredit((rightPicks - wrongPicks) / correctIds.size) : 0;
+  }
+  if (q.scoringRule === "per_option") {
+    const judged = options.filter((d) => picked.has(d.originalId) === correctIds.has(d.originalId)).length;
+    return options.length ? roundCredit(judged / options.length) : 0;
+  }
+  return exact ? 1 : 0;
+}
+
+/**
+ * Scores one snapshot question against the stored answer.
+ * Returns credit in [0, 1] plus the display strings used by the review `details`.
+ */
+export function scoreQuestion(q, answer) {
+  const type = q.type || "single";
+  const answered = isAnswered(answer);
+  const options = q.distractors || [];
+
+  if (type === "numeric") {
+    const value = answered ? Number(answer.numericValue) : null;
+    const expected = Number(q.numericAnswer);
+    const tolerance = Math.abs(Number(q.numericTolerance || 0));
+    const credit = answered && Math.abs(value - expected) <= tolerance ? 1 : 0;
+    return {
+      type,
+      answered,
+      credit,
+      selected: answered ? String(value) : "Unanswered",
+      correct: tolerance ? `${expected} (± ${tolerance})` : String(expected)
+    };
+  }
+
+  if (type === "multiple") {
+    const selectedIds = answered ? answer.selectedOriginalIds : [];
+    const selected = options.filter((d) => selectedIds.includes(d.originalId));
+    const correct = options.filter((d) => d.correct);
+    return {
+      type,
+      answered,
+      credit: answered ? scoreMultiple(q, selectedIds) : 0,
+      selected: selected.length ? selected.map((d) => d.text).join("; ") : "Unanswered",
+      correct: correct.length ? correct.map((d) => d.text).join("; ") : "N/A"
+    };
+  }
+
+  const selected = answered ? options.find((d) => d.originalId === answer.selectedOriginalId) || null : null;
+  const correct = options.find((d) => d.correct) || null;
+  return {
+    type,
+    answered,
+    credit: !!selected && !!correct && selected.originalId === correct.originalId ? 1 : 0,
+    selected: selected ? selected.text : "Unanswered",
+    correct: correct ? correct.text : "N/A"
+  };
+}
+
+/**
+ * Validates an answer request body against the snapshot question and returns the stored answer shape.
+ * Returns { error } when the payload does not fit the question type; omitted values mean unanswered.
+ */
+export function parseAnswerPayload(q, body) {
+  const type = q.type || "single";
+  const optionIds = new Set((q.distractors || []).map((d) => d.originalId));
+  const answer = { questionId: q.id, selectedOriginalId: null };
+
+  if (type === "numeric") {
+    if (body.numericValue == null || body.numericValue === "") return { answer: { ...answer, numericValue: null } };
+    const value = Number(body.numericValue);
+    if (!Number.isFinite(value)) return { error: "invalid_numeric_value" };
+    return { answer: { ...answer, numericValue: value } };
+  }
+
+  if (type === "multiple") {
+    const raw = Array.isArray(body.selectedOriginalIds) ? body.selectedOriginalIds : [];
+    const ids = [...new Set(raw.map((x) => sanitizeText(x)).filter(Boolean))];
+    if (ids.some((id) => !optionIds.has(id))) return { error: "invalid_option_for_question" };
+    return { answer: { ...answer, selectedOriginalIds: ids } };
+  }
+
+  const selectedOriginalId = body.selectedOriginalId == null ? null : sanitizeText(body.selectedOriginalId);
+  if (selectedOriginalId && !optionIds.has(selectedOriginalId)) return { error: "invalid_option_for_question" };
+  return { answer: { ...answer, selectedOriginalId: selectedOriginalId || null } };
+}
+
+// Same rule as the client countdown: roughly three reading passes of the stem, kept within 15–45 s.
+export function computeQuestionSeconds(stem) {
+  const words = String(stem || "").trim().split(/\s+/).filter(Boolean).length;
+  const secs = Math.ceil(words * 0.6 * 3);
+  return Math.min(45, Math.max(15, secs));
+}
@@ -0,0 +1,185 @@
+import { config } from "./config.js";
+import { redis } from "./redis.js";
+
+const LOCKOUT_INDEX = "lockouts";
+const LOCKOUT_HISTORY_SECONDS = 24 * 60 * 60;
+const MAX_LOCAL_KEYS = 50000;
+
+// In-process stand-in used while Redis is unreachable, so a single instance keeps limiting instead of failing open.
+const local = new Map();
+const localLockouts = new Map();
+
+function localGet(key) {
+  const entry = local.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    local.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+function localSet(key, value, ttlMs) {
+  if (local.size >= MAX_LOCAL_KEYS) {
+    const now = Date.now();
+    for (const [k, entry] of local) if (entry.expiresAt <= now) local.delete(k);
+    if (local.size >= MAX_LOCAL_KEYS) local.delete(local.keys().next().value);
+  }
+  local.set(key, { value, expiresAt: Date.now() + ttlMs });
+}
+
+const localStore = {
+  async incr(key, ttlSeconds) {
+    const entry = localGet(key);
+    const value = (entry?.value || 0) + 1;
+    if (entry) entry.value = value;
+    else localSet(key, value, ttlSeconds * 1000);
+    return value;
+  },
+  async ttlMs(key) {
+    const entry = localGet(key);
+    return entry ? entry.expiresAt - Date.now() : 0;
+  },
+  async set(key, ttlMs) {
+    localSet(key, 1, ttlMs);
+  },
+  async del(...keys) {
+    keys.forEach((key) => local.delete(key));
+  },
+  async indexLockout(field, record) {
+    localLockouts.set(field, record);
+  },
+  async unindexLockout(field) {
+    localLockouts.delete(field);
+  },
+  async listLockouts() {
+    return [...localLockouts.values()];
+  }
+};
+
+const redisStore = {
+  async incr(key, ttlSeconds) {
+    const value = await redis.incr(key);
+    if (value === 1) await redis.expire(key, ttlSeconds);
+    return value;
+  },
+  async ttlMs(key) {
+    return Math.max(0, await redis.pttl(key));
+  },
+  async set(key, ttlMs) {
+    await redis.set(key, "1", "PX", ttlMs);
+  },
+  async del(...keys) {
+    await redis.del(...keys);
+  },
+  async indexLockout(field, record) {
+    await redis.hset(LOCKOUT_INDEX, field, JSON.stringify(record));
+  },
+  async unindexLockout(field) {
+    await redis.hdel(LOCKOUT_INDEX, field);
+  },
+  async listLockouts() {
+    const all = await redis.hgetall(LOCKOUT_INDEX);
+    return Object.values(all).map((raw) => {
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return null;
+      }
+    }).filter(Boolean);
+  }
+};
+
+async function withStore(fn) {
+  if (redis.status === "ready") {
+    try {
+      return await fn(redisStore);
+    } catch {
+      // Fall through to the local store, as the other Redis users do.
+    }
+  }
+  return fn(localStore);
+}
+
+const failKey = (scope, key) => `ratelimit:${scope}:fail:${key}`;
+const lockKey = (scope, key) => `ratelimit:${scope}:lock:${key}`;
+const strikeKey = (scope, key) => `ratelimit:${scope}:strikes:${key}`;
+
+// Each lockout of the same key within a day doubles the previous one, up to LOCKOUT_MAX_SECONDS.
+function lockoutSeconds(strikes) {
+  return Math.min(config.lockout.maxSeconds, config.lockout.baseSeconds * 2 ** Math.max(0, strikes - 1));
+}
+
+/**
+ * Longest remaining lock among `keys` for `scope` ("admin_login" or "passcode"), in whole seconds (0 = not locked).
+ */
+export async function lockoutRemaining(scope, keys) {
+  return withStore(async (store) => {
+    const remaining = await Promise.all(keys.map((key) => store.ttlMs(lockKey(scope, key))));
+    return Math.ceil(Math.max(0, ...remaining) / 1000);
+  });
+}
+
+/**
+ * Counts a failed attempt against each { key, limit }. A key reaching its limit within LOCKOUT_WINDOW_SECONDS is
+ * locked; the result lists those new lockouts (with `context` attached) so callers can report them.
+ */
+export async function registerFailure(scope, limits, context = {}) {
+  return withStore(async (store) => {
+    const locked = [];
+    for (const { key, limit } of limits) {
+      const failures = await store.incr(failKey(scope, key), config.lockout.windowSeconds);
+      if (failures < limit) continue;
+      const strikes = await store.incr(strikeKey(scope, key), LOCKOUT_HISTORY_SECONDS);
+      const seconds = lockoutSeconds(strikes);
+      const until = new Date(Date.now() + seconds * 1000).toISOString();
+      await store.set(lockKey(scope, key), seconds * 1000);
+      await store.del(failKey(scope, key));
+      const record = { scope, key, failures, strikes, seconds, until, ...context };
+      await store.indexLockout(`${scope}|${key}`, record);
+      locked.push(record);
+    }
+    const retryAfterSeconds = Math.max(0, ...locked.map((l) => l.seconds));
+    return { locked, retryAfterSeconds };
+  });
+}
+
+// A successful sign-in forgets the identifier's failures; lock history (strikes) is kept for the day.
+export async function clearFailures(scope, keys) {
+  await withStore((store) => store.del(...keys.map((key) => failKey(scope, key))));
+}
+
+export async function listLockouts() {
+  return withStore(async (store) => {
+    const now = Date.now();
+    const records = await store.listLockouts();
+    const active = [];
+    for (const record of records) {
+      if (new Date(record.until).getTime() > now) active.push(record);
+      else await store.unindexLockout(`${record.scope}|${record.key}`);
+    }
+    return active.sort((a, b) => a.until.localeCompare(b.until));
+  });
+}
+
+// Lifts a lock early (e.g. an invigilator vouching for a student) and resets its doubling.
+export async function releaseLockout(scope, key) {
+  return withStore(async (store) => {
+    const remaining = await store.ttlMs(lockKey(scope, key));
+    await store.del(lockKey(scope, key), failKey(scope, key), strikeKey(scope, key));
+    await store.unindexLockout(`${scope}|${key}`);
+    return remaining > 0;
+  });
+}
+
+/**
+ * Fixed-window throttle: allows `limit` hits per `windowSeconds` for `key`. Returns { allowed, retryAfterSeconds }.
+ */
+export async function consumeRate(key, limit, windowSeconds) {
+  return withStore(async (store) => {
+    const hits = await store.incr(`ratelimit:rate:${key}`, windowSeconds);
+    if (hits <= limit) return { allowed: true, retryAfterSeconds: 0 };
+    const ttl = await store.ttlMs(`ratelimit:rate:${key}`);
+    return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil(ttl / 1000)) };
+  });
+}
@@ -0,0 +1,112 @@
+import { canAccessAssessment, scopeCodes } from "../adminUsers.js";
+import { recordAudit, summarizeChange } from "../audit.js";
+import { query, withTx } from "../db.js";
+import { isUuid, sanitizeText } from "../utils.js";
+
+const MAX_EXTRA_TIME_PERCENT = 300;
+
+async function resolveAssessmentId(codeValue) {
+  const code = sanitizeText(codeValue || "").toUpperCase();
+  if (!code) return { id: null, code: null };
+  const out = await query("SELECT id, code FROM assessments WHERE code = $1", [code]);
+  return out.rows[0] || null;
+}
+
+// Global accommodations (no assessment) apply everywhere, so only admins without assessment scopes may change them.
+function canManageAccommodation(admin, assessmentCode) {
+  return assessmentCode ? canAccessAssessment(admin, assessmentCode) : scopeCodes(admin, "assessment") === null;
+}
+
+export default async function accommodationRoutes(fastify) {
+  fastify.get("/admin/accommodations", fastify.adminRoute("roster:read"), async (request) => {
+    const studentId = sanitizeText(request.query?.studentId || "");
+    const code = sanitizeText(request.query?.code || "").toUpperCase();
+    const out = await query(
+      `SELECT a.id, a.student_id, a.extra_time_percent, a.note, a.created_at, a.updated_at,
+              t.code AS assessment_code
+       FROM student_accommodations a
+       LEFT JOIN assessments t ON t.id = a.assessment_id
+       WHERE ($1 = '' OR a.student_id = $1)
+         AND ($2 = '' OR t.code = $2 OR a.assessment_id IS NULL)
+         AND ($3::text[] IS NULL OR a.assessment_id IS NULL OR t.code = ANY($3))
+       ORDER BY a.student_id, t.code NULLS FIRST`,
+      [studentId, code, scopeCodes(request.admin, "assessment")]
+    );
+    return out.rows;
+  });
+
+  fastify.post("/admin/accommodations", fastify.adminRoute("roster:write"), async (request, reply) => {
+    const body = request.body || {};
+    const studentId = sanitizeText(body.studentId || "");
+    const extraTimePercent = Math.round(Number(body.extraTimePercent));
+    if (!studentId) {
+      return reply.code(400).send({ error: "studentId_required" });
+    }
+    if (!Number.isFinite(extraTimePercent) || extraTimePercent < 1 || extraTimePercent > MAX_EXTRA_TIME_PERCENT) {
+      return reply.code(400).send({ error: "invalid_extra_time_percent" });
+    }
+
+    const assessment = await resolveAssessmentId(body.assessmentCode);
+    if (!assessment) {
+      return reply.code(404).send({ error: "test_not_found" });
+    }
+    if (!canManageAccommodation(request.admin, assessment.code)) {
+      return reply.code(403).send({ error: "assessment_out_of_scope" });
+    }
+
+    const saved = await withTx(async (client) => {
+      const previous = await client.query(
+        `SELECT extra_time_percent, note FROM student_accommodations
+         WHERE student_id = $1 AND assessment_id IS NOT DISTINCT FROM $2`,
+        [studentId, assessment.id]
+      );
+      const out = await client.query(
+        `INSERT INTO student_accommodations (student_id, assessment_id, extra_time_percent, note)
+         VALUES ($1,$2,$3,$4)
+         ON CONFLICT (student_id, COALESCE(assessment_id, '00000000-0000-0000-0000-000000000000'::uuid))
+         DO UPDATE SET extra_time_percent = EXCLUDED.extra_time_percent,
+                       note = EXCLUDED.note,
+                       updated_at = NOW()
+         RETURNING *`,
+        [studentId, assessment.id, extraTimePercent, sanitizeText(body.note || "")]
+      );
+      const row = out.rows[0];
+      await recordAudit(client.query.bind(client), request, {
+        action: previous.rows[0] ? "accommodation.update" : "accommodation.create",
+        targetType: "accommodation",
+        targetId: `${studentId}@${assessment.code || "*"}`,
+        ...summarizeChange(previous.rows[0] || null, { extra_time_percent: row.extra_time_percent, note: row.note })
+      });
+      return row;
+    });
+    return saved;
+  });
+
+  fastify.delete("/admin/accommodations/:id", fastify.adminRoute("roster:write"), async (request, reply) => {
+    const id = sanitizeText(request.params.id);
+    if (!isUuid(id)) return reply.code(404).send({ error: "accommodation_not_found" });
+    const found = await query(
+      `SELECT a.id, a.student_id, a.extra_time_percent, a.note, t.code AS assessment_code
+       FROM student_accommodations a
+       LEFT JOIN assessments t ON t.id = a.assessment_id
+       WHERE a.id = $1`,
+      [id]
+    );
+    const accommodation = found.rows[0];
+    if (!accommodation) return reply.code(404).send({ error: "accommodation_not_found" });
+    if (!canManageAccommodation(request.admin, accommodation.assessment_code)) {
+      return reply.code(403).send({ error: "assessment_out_of_scope" });
+    }
+
+    await withTx(async (client) => {
+      await client.query("DELETE FROM student_accommodations WHERE id = $1", [accommodation.id]);
+      await recordAudit(client.query.bind(client), request, {
+        action: "accommodation.delete",
+        targetType: "accommodation",
+        targetId: `${accommodation.student_id}@${accommodation.assessment_code || "*"}`,
+        before: { extra_time_percent: accommodation.extra_time_percent, note: accommodation.note }
+      });
+    });
+    return { ok: true, id: accommodation.id };
+  });
+}
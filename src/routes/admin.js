@@ -1,415 +1,672 @@
+import { canAccessAssessment, canAccessBank, scopeCodes } from "../adminUsers.js";
+import { describeActor, recordAudit, summarizeChange } from "../audit.js";
 import { query, withTx } from "../db.js";
-import { config } from "../config.js";
-import { csvEscape, parseJsonObjectOrEmpty, sanitizeText } from "../utils.js";
-
-function normalizeBankCode(value) {
-  const cleaned = sanitizeText(value || "default").toLowerCase();
-  return cleaned.replace(/[^a-z0-9_-]/g, "") || "default";
-}
-
+import {
+  DEFAULT_PASSCODE_PERIOD_SECONDS,
+  MAX_PASSCODE_PERIOD_SECONDS,
+  MIN_PASSCODE_PERIOD_SECONDS,
+  PASSCODE_MODES,
+  currentRotatingPasscode,
+  generatePasscodeSecret,
+  hashAssessmentSecret,
+  withoutAssessmentSecrets
+} from "../passcodes.js";
+import {
+  deleteBankQuestion,
+  ensureBank,
+  existingAssetIds,
+  importQuestions,
+  loadBankQuestions,
+  loadBankTags,
+  normalizeBankCode,
+  normalizeQuestionPayload,
+  normalizeTags,
+  saveBankQuestion,
+  validateQuestion
+} from "../questionBank.js";
+import { csvEscape, isUuid, parseEscalationEventTypes, parseJsonObjectOrEmpty, sanitizeText } from "../utils.js";
+
+// Each allocation draws `count` questions from a bank, optionally only those carrying all of `tags`
+// and none of `excludeTags`.
 function parseAllocations(value) {
   const arr = Array.isArray(value) ? value : [];
   return arr
     .map((x) => ({
       bankCode: normalizeBankCode(x.bankCode || x.bank_code || ""),
-      count: Math.max(0, Number(x.count || 0))
+      count: Math.max(0, Number(x.count || 0)),
+      tags: normalizeTags(x.tags || []),
+      excludeTags: normalizeTags(x.excludeTags || x.exclude_tags || [])
     }))
     .filter((x) => x.bankCode && x.count > 0);
 }
 
-function normalizeQuestionPayload(body) {
-  const id = sanitizeText(body.id);
-  const category = sanitizeText(body.category);
-  const difficulty = sanitizeText(body.difficulty || "medium");
-  const stem = sanitizeText(body.stem);
-  const explanation = sanitizeText(body.explanation || "");
-  const image = body.image ? sanitizeText(body.image) : null;
-  const distractors = Array.isArray(body.distractors) ? body.distractors : [];
-
-  const normalized = distractors
-    .map((d) => ({
-      option_key: sanitizeText(d.id || d.option_key),
-      option_text: sanitizeText(d.text || d.option_text),
-      is_correct: !!d.correct || !!d.is_correct
-    }))
-    .filter((d) => d.option_key && d.option_text);
+const QUESTION_PAGE_SIZE = 50;
+const MAX_QUESTION_PAGE_SIZE = 200;
+
+// Returns an ISO string, null for an empty value, or undefined when the value is not a valid timestamp.
+function parseOptionalTimestamp(value) {
+  if (value == null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+// Negative marking is a fraction of each question's marks (0 disables it); undefined means invalid.
+function parseNegativeMarkRatio(value, fallback = 0) {
+  if (value == null || value === "") return fallback;
+  const ratio = Number(value);
+  return Number.isFinite(ratio) && ratio >= 0 && ratio <= 1 ? ratio : undefined;
+}
+
+// Pass mark is a percentage of max marks; null leaves submissions without a pass/fail verdict.
+function parsePassMarkPercent(value) {
+  if (value == null || value === "") return null;
+  const percent = Number(value);
+  return Number.isFinite(percent) && percent >= 0 && percent <= 100 ? percent : undefined;
+}
+
+// Rotating mode needs a secret: one is generated on the switch, and `rotate_passcode_secret: true` replaces it.
+function parsePasscodeSettings(body, current) {
+  const mode = sanitizeText(body.passcode_mode ?? current?.passcode_mode ?? "static").toLowerCase();
+  if (!PASSCODE_MODES.includes(mode)) return { error: "invalid_passcode_mode" };
+  const periodSeconds = Math.round(Number(
+    body.passcode_period_seconds ?? current?.passcode_period_seconds ?? DEFAULT_PASSCODE_PERIOD_SECONDS
+  ));
+  if (!(periodSeconds >= MIN_PASSCODE_PERIOD_SECONDS && periodSeconds <= MAX_PASSCODE_PERIOD_SECONDS)) {
+    return { error: "invalid_passcode_period" };
+  }
+  const keepSecret = !!current?.passcode_secret && !body.rotate_passcode_secret;
+  const secret = mode === "rotating" ? (keepSecret ? current.passcode_secret : generatePasscodeSecret()) : "";
+  return { mode, periodSeconds, secret };
+}
 
-  return { id, category, difficulty, stem, explanation, image, distractors: normalized };
+// Passcodes are write-only: an omitted field keeps the stored hash, and "" removes the code.
+async function parseSecretField(value) {
+  return value === undefined ? null : hashAssessmentSecret(sanitizeText(value));
 }
 
-async function ensureBank(clientOrQuery, bankCode, name = "Question Bank", description = "") {
-  const run = clientOrQuery.query ? clientOrQuery.query.bind(clientOrQuery) : query;
-  await run(
-    `INSERT INTO question_banks (code, name, description)
-     VALUES ($1, $2, $3)
-     ON CONFLICT (code) DO NOTHING`,
-    [bankCode, sanitizeText(name), sanitizeText(description)]
+const LATE_ANSWER_POLICIES = ["blank", "reject"];
+const NAVIGATION_MODES = ["linear", "free"];
+
+// Several assessments can be active at once; config calls target one by code, falling back to the latest active
+// one the admin is scoped to.
+async function findConfigTarget(codeValue, admin) {
+  const code = sanitizeText(codeValue || "").toUpperCase();
+  const out = await query(
+    code
+      ? "SELECT * FROM assessments WHERE code = $1"
+      : `SELECT * FROM assessments
+         WHERE is_active = true AND ($1::text[] IS NULL OR code = ANY($1))
+         ORDER BY created_at DESC LIMIT 1`,
+    code ? [code] : [scopeCodes(admin, "assessment")]
   );
+  return out.rows[0] || null;
 }
 
-export default async function adminRoutes(fastify) {
-  fastify.post("/admin/login", async (request, reply) => {
-    const password = sanitizeText(request.body?.password || "");
-    if (password !== config.adminPassword) {
-      return reply.code(401).send({ error: "invalid_credentials" });
-    }
+// Assessment rows are audited field by field; bookkeeping columns are left out of the summary.
+function assessmentChange(before, after) {
+  const fields = Object.keys(after || before || {}).filter((k) => !["id", "created_at", "updated_at"].includes(k));
+  return summarizeChange(before, after, fields);
+}
 
-    const token = await reply.jwtSign({ role: "admin" }, { expiresIn: "8h" });
-    return { token };
+async function importBankQuestions(request, reply, bankCode) {
+  if (!canAccessBank(request.admin, bankCode)) return reply.code(403).send({ error: "bank_out_of_scope" });
+  const body = request.body || {};
+  if (!Array.isArray(body.questions) || !body.questions.length) {
+    return reply.code(400).send({ error: "questions_array_required" });
+  }
+  const result = await importQuestions(body.questions, {
+    bankCode,
+    mode: body.mode,
+    dryRun: body.dryRun === true || request.query?.dryRun === "true",
+    strict: !!body.strict,
+    author: describeActor(request),
+    audit: (run, details) => recordAudit(run, request, { action: "bank.import", targetType: "bank", targetId: bankCode, details })
   });
+  if (result.error) {
+    const { code, ...failure } = result;
+    return reply.code(code).send(failure);
+  }
+  return result;
+}
 
-  fastify.get("/admin/banks", { preHandler: fastify.adminAuth }, async () => {
+export default async function adminRoutes(fastify) {
+  fastify.get("/admin/banks", fastify.adminRoute("banks:read"), async (request) => {
     const out = await query(
       `SELECT b.code, b.name, b.description, b.created_at, b.updated_at,
               COALESCE(COUNT(q.id), 0)::int AS question_count
        FROM question_banks b
        LEFT JOIN bank_questions q ON q.bank_code = b.code
+       WHERE $1::text[] IS NULL OR b.code = ANY($1)
        GROUP BY b.code
-       ORDER BY b.code`
+       ORDER BY b.code`,
+      [scopeCodes(request.admin, "bank")]
     );
     return out.rows;
   });
 
-  fastify.post("/admin/banks", { preHandler: fastify.adminAuth }, async (request, reply) => {
+  fastify.post("/admin/banks", fastify.adminRoute("banks:write"), async (request, reply) => {
     const code = normalizeBankCode(request.body?.code || "");
     const name = sanitizeText(request.body?.name || code);
     const description = sanitizeText(request.body?.description || "");
     if (!code) {
       return reply.code(400).send({ error: "bank_code_required" });
     }
-    await query(
-      `INSERT INTO question_banks (code, name, description)
-       VALUES ($1, $2, $3)
-       ON CONFLICT (code)
-       DO UPDATE SET name = EXCLUDED.name, description = EXCLUDED.description, updated_at = NOW()`,
-      [code, name, description]
-    );
-    return { ok: true, code };
-  });
-
-  fastify.post("/admin/banks/:code/import", { preHandler: fastify.adminAuth }, async (request, reply) => {
-    const bankCode = normalizeBankCode(request.params.code || "default");
-    const payload = request.body?.questions;
-    if (!Array.isArray(payload) || !payload.length) {
-      return reply.code(400).send({ error: "questions_array_required" });
-    }
-
+    if (!canAccessBank(request.admin, code)) return reply.code(403).send({ error: "bank_out_of_scope" });
     await withTx(async (client) => {
-      await ensureBank(client, bankCode, `${bankCode} bank`, "Question bank");
-      await client.query("DELETE FROM bank_question_options WHERE bank_code = $1", [bankCode]);
-      await client.query("DELETE FROM bank_questions WHERE bank_code = $1", [bankCode]);
-      for (const raw of payload) {
-        const q = normalizeQuestionPayload(raw);
-        if (!q.id || !q.category || !q.stem || q.distractors.length < 2 || q.distractors.length > 6) {
-          continue;
-        }
-        await client.query(
-          `INSERT INTO bank_questions (bank_code, id, category, difficulty, stem, explanation, image)
-           VALUES ($1,$2,$3,$4,$5,$6,$7)`,
-          [bankCode, q.id, q.category, q.difficulty, q.stem, q.explanation, q.image]
-        );
-        for (const option of q.distractors) {
-          await client.query(
-            `INSERT INTO bank_question_options (bank_code, question_id, option_key, option_text, is_correct)
-             VALUES ($1,$2,$3,$4,$5)`,
-            [bankCode, q.id, option.option_key, option.option_text, option.is_correct]
-          );
-        }
-      }
+      const existing = await client.query("SELECT name, description FROM question_banks WHERE code = $1", [code]);
+      await client.query(
+        `INSERT INTO question_banks (code, name, description)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (code)
+         DO UPDATE SET name = EXCLUDED.name, description = EXCLUDED.description, updated_at = NOW()`,
+        [code, name, description]
+      );
+      await recordAudit(client.query.bind(client), request, {
+        action: existing.rows[0] ? "bank.update" : "bank.create",
+        targetType: "bank",
+        targetId: code,
+        ...summarizeChange(existing.rows[0] || null, { name, description })
+      });
     });
+    return { ok: true, code };
+  });
 
-    return { ok: true, bankCode, imported: payload.length };
+  fastify.post("/admin/banks/:code/import", fastify.adminRoute("banks:write"), async (request, reply) => {
+    return importBankQuestions(request, reply, normalizeBankCode(request.params.code || "default"));
   });
 
-  fastify.get("/admin/tests", { preHandler: fastify.adminAuth }, async () => {
+  fastify.get("/admin/tests", fastify.adminRoute("assessments:read"), async (request) => {
     const out = await query(
       `SELECT id, code, title, assessment_date, draw_count, bank_code, dataset_allocations,
-              duration_seconds, passcode, allow_retakes, is_active, created_at, updated_at
+              duration_seconds, allow_retakes, is_active, opens_at, closes_at,
+              passcode_mode, (passcode <> '' OR passcode_mode = 'rotating') AS has_passcode,
+              created_at, updated_at
        FROM assessments
-       ORDER BY COALESCE(assessment_date, CURRENT_DATE) DESC, created_at DESC`
+       WHERE $1::text[] IS NULL OR code = ANY($1)
+       ORDER BY COALESCE(assessment_date, CURRENT_DATE) DESC, created_at DESC`,
+      [scopeCodes(request.admin, "assessment")]
     );
     return out.rows;
   });
 
-  fastify.post("/admin/tests", { preHandler: fastify.adminAuth }, async (request, reply) => {
+  fastify.post("/admin/tests", fastify.adminRoute("assessments:write"), async (request, reply) => {
     const body = request.body || {};
     const code = sanitizeText(body.code || "").toUpperCase();
     if (!code) return reply.code(400).send({ error: "test_code_required" });
+    if (!canAccessAssessment(request.admin, code)) return reply.code(403).send({ error: "assessment_out_of_scope" });
 
     const bankCode = normalizeBankCode(body.bank_code || "default");
     const allocations = parseAllocations(body.dataset_allocations || []);
+    if (![bankCode, ...allocations.map((a) => a.bankCode)].every((c) => canAccessBank(request.admin, c))) {
+      return reply.code(403).send({ error: "bank_out_of_scope" });
+    }
     await ensureBank(query, bankCode, `${bankCode} bank`, "Question bank");
     for (const item of allocations) {
       await ensureBank(query, item.bankCode, `${item.bankCode} bank`, "Question bank");
     }
 
     const isActive = !!body.is_active;
-    if (isActive) {
-      await query("UPDATE assessments SET is_active = false WHERE is_active = true");
+    const opensAt = parseOptionalTimestamp(body.opens_at);
+    const closesAt = parseOptionalTimestamp(body.closes_at);
+    if (opensAt === undefined || closesAt === undefined) {
+      return reply.code(400).send({ error: "invalid_schedule_timestamp" });
+    }
+    if (opensAt && closesAt && opensAt >= closesAt) {
+      return reply.code(400).send({ error: "closes_at_must_follow_opens_at" });
+    }
+    const negativeMarkRatio = parseNegativeMarkRatio(body.negative_mark_ratio);
+    const passMarkPercent = parsePassMarkPercent(body.pass_mark_percent);
+    if (negativeMarkRatio === undefined) {
+      return reply.code(400).send({ error: "invalid_negative_mark_ratio" });
+    }
+    if (passMarkPercent === undefined) {
+      return reply.code(400).send({ error: "invalid_pass_mark_percent" });
+    }
+    const lateAnswerPolicy = sanitizeText(body.late_answer_policy || "blank").toLowerCase();
+    if (!LATE_ANSWER_POLICIES.includes(lateAnswerPolicy)) {
+      return reply.code(400).send({ error: "invalid_late_answer_policy" });
+    }
+    const navigationMode = sanitizeText(body.navigation_mode || "linear").toLowerCase();
+    if (!NAVIGATION_MODES.includes(navigationMode)) {
+      return reply.code(400).send({ error: "invalid_navigation_mode" });
     }
 
-    const out = await query(
-      `INSERT INTO assessments (
-         code, title, passcode, duration_seconds, draw_count, questions_per_category,
-         show_post_review, fullscreen_enforcement, tab_warn_threshold, tab_autosubmit_threshold,
-         allow_retakes, integrity_notice, is_active, bank_code, dataset_allocations, assessment_date
-       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
-       ON CONFLICT (code)
-       DO UPDATE SET title = EXCLUDED.title,
-                     passcode = EXCLUDED.passcode,
-                     duration_seconds = EXCLUDED.duration_seconds,
-                     draw_count = EXCLUDED.draw_count,
-                     questions_per_category = EXCLUDED.questions_per_category,
-                     show_post_review = EXCLUDED.show_post_review,
-                     fullscreen_enforcement = EXCLUDED.fullscreen_enforcement,
-                     tab_warn_threshold = EXCLUDED.tab_warn_threshold,
-                     tab_autosubmit_threshold = EXCLUDED.tab_autosubmit_threshold,
-                     allow_retakes = EXCLUDED.allow_retakes,
-                     integrity_notice = EXCLUDED.integrity_notice,
-                     is_active = EXCLUDED.is_active,
-                     bank_code = EXCLUDED.bank_code,
-                     dataset_allocations = EXCLUDED.dataset_allocations,
-                     assessment_date = EXCLUDED.assessment_date,
-                     updated_at = NOW()
-       RETURNING *`,
-      [
-        code,
-        sanitizeText(body.title || code),
-        sanitizeText(body.passcode || ""),
-        Math.max(60, Number(body.duration_seconds || 3600)),
-        Math.max(1, Number(body.draw_count || 10)),
-        JSON.stringify(parseJsonObjectOrEmpty(body.questions_per_category || {})),
-        body.show_post_review ?? true,
-        body.fullscreen_enforcement ?? true,
-        Math.max(1, Number(body.tab_warn_threshold || 3)),
-        Math.max(2, Number(body.tab_autosubmit_threshold || 5)),
-        Math.max(0, Number(body.allow_retakes || 0)),
-        sanitizeText(body.integrity_notice || "") || "ASSESSMENT INTEGRITY NOTICE",
-        isActive,
-        bankCode,
-        JSON.stringify(allocations),
-        body.assessment_date || null
-      ]
-    );
-    return out.rows[0];
+    const previous = await findConfigTarget(code, request.admin);
+    const passcodeSettings = parsePasscodeSettings(body, previous);
+    if (passcodeSettings.error) return reply.code(400).send({ error: passcodeSettings.error });
+    const passcode = await parseSecretField(body.passcode);
+    const resumeApprovalCode = await parseSecretField(body.resume_approval_code);
+    const saved = await withTx(async (client) => {
+      const out = await client.query(
+        `INSERT INTO assessments (
+           code, title, passcode, duration_seconds, draw_count, questions_per_category,
+           show_post_review, fullscreen_enforcement, tab_warn_threshold, tab_autosubmit_threshold,
+           allow_retakes, integrity_notice, is_active, bank_code, dataset_allocations, assessment_date,
+           escalation_event_types, opens_at, closes_at, resume_approval_code,
+           negative_mark_ratio, pass_mark_percent, question_time_limits, late_answer_policy,
+           navigation_mode, bind_fingerprint, passcode_mode, passcode_secret, passcode_period_seconds
+         ) VALUES ($1,$2,COALESCE($3, ''),$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,COALESCE($20, ''),
+                   $21,$22,$23,$24,$25,$26,$27,$28,$29)
+         ON CONFLICT (code)
+         DO UPDATE SET title = EXCLUDED.title,
+                       passcode = COALESCE($3, assessments.passcode),
+                       duration_seconds = EXCLUDED.duration_seconds,
+                       draw_count = EXCLUDED.draw_count,
+                       questions_per_category = EXCLUDED.questions_per_category,
+                       show_post_review = EXCLUDED.show_post_review,
+                       fullscreen_enforcement = EXCLUDED.fullscreen_enforcement,
+                       tab_warn_threshold = EXCLUDED.tab_warn_threshold,
+                       tab_autosubmit_threshold = EXCLUDED.tab_autosubmit_threshold,
+                       allow_retakes = EXCLUDED.allow_retakes,
+                       integrity_notice = EXCLUDED.integrity_notice,
+                       is_active = EXCLUDED.is_active,
+                       bank_code = EXCLUDED.bank_code,
+                       dataset_allocations = EXCLUDED.dataset_allocations,
+                       assessment_date = EXCLUDED.assessment_date,
+                       escalation_event_types = EXCLUDED.escalation_event_types,
+                       opens_at = EXCLUDED.opens_at,
+                       closes_at = EXCLUDED.closes_at,
+                       resume_approval_code = COALESCE($20, assessments.resume_approval_code),
+                       negative_mark_ratio = EXCLUDED.negative_mark_ratio,
+                       pass_mark_percent = EXCLUDED.pass_mark_percent,
+                       question_time_limits = EXCLUDED.question_time_limits,
+                       late_answer_policy = EXCLUDED.late_answer_policy,
+                       navigation_mode = EXCLUDED.navigation_mode,
+                       bind_fingerprint = EXCLUDED.bind_fingerprint,
+                       passcode_mode = EXCLUDED.passcode_mode,
+                       passcode_secret = EXCLUDED.passcode_secret,
+                       passcode_period_seconds = EXCLUDED.passcode_period_seconds,
+                       updated_at = NOW()
+         RETURNING *`,
+        [
+          code,
+          sanitizeText(body.title || code),
+          passcode,
+          Math.max(60, Number(body.duration_seconds || 3600)),
+          Math.max(1, Number(body.draw_count || 10)),
+          JSON.stringify(parseJsonObjectOrEmpty(body.questions_per_category || {})),
+          body.show_post_review ?? true,
+          body.fullscreen_enforcement ?? true,
+          Math.max(1, Number(body.tab_warn_threshold || 3)),
+          Math.max(2, Number(body.tab_autosubmit_threshold || 5)),
+          Math.max(0, Number(body.allow_retakes || 0)),
+          sanitizeText(body.integrity_notice || "") || "ASSESSMENT INTEGRITY NOTICE",
+          isActive,
+          bankCode,
+          JSON.stringify(allocations),
+          body.assessment_date || null,
+          JSON.stringify(parseEscalationEventTypes(body.escalation_event_types)),
+          opensAt,
+          closesAt,
+          resumeApprovalCode,
+          negativeMarkRatio,
+          passMarkPercent,
+          body.question_time_limits ?? true,
+          lateAnswerPolicy,
+          navigationMode,
+          !!body.bind_fingerprint,
+          passcodeSettings.mode,
+          passcodeSettings.secret,
+          passcodeSettings.periodSeconds
+        ]
+      );
+      await recordAudit(client.query.bind(client), request, {
+        action: previous ? "assessment.update" : "assessment.create",
+        targetType: "assessment",
+        targetId: code,
+        ...assessmentChange(previous, out.rows[0])
+      });
+      return out.rows[0];
+    });
+    return withoutAssessmentSecrets(saved);
   });
 
-  fastify.post("/admin/tests/:code/activate", { preHandler: fastify.adminAuth }, async (request, reply) => {
+  fastify.post("/admin/tests/:code/activate", fastify.adminRoute("assessments:write"), async (request, reply) => {
     const code = sanitizeText(request.params.code || "").toUpperCase();
     if (!code) return reply.code(400).send({ error: "test_code_required" });
-    await query("UPDATE assessments SET is_active = false WHERE is_active = true");
-    const out = await query(
-      "UPDATE assessments SET is_active = true, updated_at = NOW() WHERE code = $1 RETURNING *",
-      [code]
-    );
-    if (!out.rows[0]) return reply.code(404).send({ error: "test_not_found" });
-    return out.rows[0];
+    if (!canAccessAssessment(request.admin, code)) return reply.code(403).send({ error: "assessment_out_of_scope" });
+    const assessment = await withTx(async (client) => {
+      const out = await client.query(
+        `UPDATE assessments a SET is_active = true, updated_at = NOW()
+         FROM (SELECT id, is_active FROM assessments WHERE code = $1) prev
+         WHERE a.id = prev.id
+         RETURNING a.*, prev.is_active AS was_active`,
+        [code]
+      );
+      if (!out.rows[0]) return null;
+      const { was_active: wasActive, ...updated } = out.rows[0];
+      await recordAudit(client.query.bind(client), request, {
+        action: "assessment.activate",
+        targetType: "assessment",
+        targetId: code,
+        before: { is_active: wasActive },
+        after: { is_active: true }
+      });
+      return updated;
+    });
+    if (!assessment) return reply.code(404).send({ error: "test_not_found" });
+    return withoutAssessmentSecrets(assessment);
+  });
+
+  fastify.post("/admin/tests/:code/deactivate", fastify.adminRoute("assessments:write"), async (request, reply) => {
+    const code = sanitizeText(request.params.code || "").toUpperCase();
+    if (!code) return reply.code(400).send({ error: "test_code_required" });
+    if (!canAccessAssessment(request.admin, code)) return reply.code(403).send({ error: "assessment_out_of_scope" });
+    const assessment = await withTx(async (client) => {
+      const out = await client.query(
+        `UPDATE assessments a SET is_active = false, updated_at = NOW()
+         FROM (SELECT id, is_active FROM assessments WHERE code = $1) prev
+         WHERE a.id = prev.id
+         RETURNING a.*, prev.is_active AS was_active`,
+        [code]
+      );
+      if (!out.rows[0]) return null;
+      const { was_active: wasActive, ...updated } = out.rows[0];
+      await recordAudit(client.query.bind(client), request, {
+        action: "assessment.deactivate",
+        targetType: "assessment",
+        targetId: code,
+        before: { is_active: wasActive },
+        after: { is_active: false }
+      });
+      return updated;
+    });
+    if (!assessment) return reply.code(404).send({ error: "test_not_found" });
+    return withoutAssessmentSecrets(assessment);
   });
 
-  fastify.get("/admin/config", { preHandler: fastify.adminAuth }, async () => {
+  fastify.get("/admin/config", fastify.adminRoute("assessments:read"), async (request, reply) => {
+    const current = await findConfigTarget(request.query?.code, request.admin);
+    if (current && !canAccessAssessment(request.admin, current.code)) {
+      return reply.code(403).send({ error: "assessment_out_of_scope" });
+    }
+    return withoutAssessmentSecrets(current);
+  });
+
+  // The current rotating passcode, for invigilators to read out in the room.
+  fastify.get("/admin/tests/:code/passcode", fastify.adminRoute("sessions:monitor"), async (request, reply) => {
+    const code = sanitizeText(request.params.code || "").toUpperCase();
+    if (!canAccessAssessment(request.admin, code)) return reply.code(403).send({ error: "assessment_out_of_scope" });
     const out = await query(
-      "SELECT * FROM assessments WHERE is_active = true ORDER BY created_at DESC LIMIT 1"
+      "SELECT passcode_mode, passcode_secret, passcode_period_seconds FROM assessments WHERE code = $1",
+      [code]
     );
-    return out.rows[0] || null;
+    const assessment = out.rows[0];
+    if (!assessment) return reply.code(404).send({ error: "test_not_found" });
+    if (assessment.passcode_mode !== "rotating") return reply.code(409).send({ error: "passcode_not_rotating" });
+    return { code, ...currentRotatingPasscode(assessment.passcode_secret, assessment.passcode_period_seconds) };
   });
 
-  fastify.put("/admin/config", { preHandler: fastify.adminAuth }, async (request) => {
+  fastify.put("/admin/config", fastify.adminRoute("assessments:write"), async (request, reply) => {
     const body = request.body || {};
-    const currentRes = await query(
-      "SELECT * FROM assessments WHERE is_active = true ORDER BY created_at DESC LIMIT 1"
-    );
-    const current = currentRes.rows[0];
+    const current = await findConfigTarget(body.code ?? request.query?.code, request.admin);
     if (!current) {
       return { error: "active_assessment_not_found" };
     }
+    if (!canAccessAssessment(request.admin, current.code)) {
+      return reply.code(403).send({ error: "assessment_out_of_scope" });
+    }
+
+    const opensAt = body.opens_at === undefined ? current.opens_at : parseOptionalTimestamp(body.opens_at);
+    const closesAt = body.closes_at === undefined ? current.closes_at : parseOptionalTimestamp(body.closes_at);
+    if (opensAt === undefined || closesAt === undefined) {
+      return reply.code(400).send({ error: "invalid_schedule_timestamp" });
+    }
+    if (opensAt && closesAt && new Date(opensAt) >= new Date(closesAt)) {
+      return reply.code(400).send({ error: "closes_at_must_follow_opens_at" });
+    }
+    const negativeMarkRatio = parseNegativeMarkRatio(body.negative_mark_ratio, current.negative_mark_ratio);
+    const passMarkPercent = body.pass_mark_percent === undefined
+      ? current.pass_mark_percent
+      : parsePassMarkPercent(body.pass_mark_percent);
+    if (negativeMarkRatio === undefined) {
+      return reply.code(400).send({ error: "invalid_negative_mark_ratio" });
+    }
+    if (passMarkPercent === undefined) {
+      return reply.code(400).send({ error: "invalid_pass_mark_percent" });
+    }
+    const lateAnswerPolicy = sanitizeText(body.late_answer_policy ?? current.late_answer_policy).toLowerCase();
+    if (!LATE_ANSWER_POLICIES.includes(lateAnswerPolicy)) {
+      return reply.code(400).send({ error: "invalid_late_answer_policy" });
+    }
+    const navigationMode = sanitizeText(body.navigation_mode ?? current.navigation_mode).toLowerCase();
+    if (!NAVIGATION_MODES.includes(navigationMode)) {
+      return reply.code(400).send({ error: "invalid_navigation_mode" });
+    }
 
     const title = sanitizeText(body.title || current.title);
-    const passcode = sanitizeText(body.passcode ?? current.passcode);
+    const passcodeSettings = parsePasscodeSettings(body, current);
+    if (passcodeSettings.error) return reply.code(400).send({ error: passcodeSettings.error });
+    const passcode = (await parseSecretField(body.passcode)) ?? current.passcode;
+    const resumeApprovalCode = (await parseSecretField(body.resume_approval_code)) ?? current.resume_approval_code;
     const integrityNotice = sanitizeText(body.integrity_notice || current.integrity_notice);
     const bankCode = normalizeBankCode(body.bank_code || current.bank_code || "default");
     const datasetAllocations = parseAllocations(body.dataset_allocations ?? current.dataset_allocations ?? []);
+    if (![bankCode, ...datasetAllocations.map((a) => a.bankCode)].every((c) => canAccessBank(request.admin, c))) {
+      return reply.code(403).send({ error: "bank_out_of_scope" });
+    }
     await ensureBank(query, bankCode, `${bankCode} bank`, "Auto-created bank");
     for (const item of datasetAllocations) {
       await ensureBank(query, item.bankCode, `${item.bankCode} bank`, "Auto-created bank");
     }
 
-    const out = await query(
-      `UPDATE assessments SET
-         title = $1,
-         passcode = $2,
-         duration_seconds = $3,
-         draw_count = $4,
-         questions_per_category = $5,
-         show_post_review = $6,
-         fullscreen_enforcement = $7,
-         tab_warn_threshold = $8,
-         tab_autosubmit_threshold = $9,
-         allow_retakes = $10,
-         integrity_notice = $11,
-         bank_code = $12,
-         dataset_allocations = $13,
-         assessment_date = $14,
-         updated_at = NOW()
-       WHERE id = (SELECT id FROM assessments WHERE is_active = true ORDER BY created_at DESC LIMIT 1)
-       RETURNING *`,
-      [
-        title,
-        passcode,
-        Math.max(60, Number(body.duration_seconds || current.duration_seconds)),
-        Math.max(1, Number(body.draw_count || current.draw_count)),
-        JSON.stringify(parseJsonObjectOrEmpty(body.questions_per_category ?? current.questions_per_category)),
-        body.show_post_review ?? current.show_post_review,
-        body.fullscreen_enforcement ?? current.fullscreen_enforcement,
-        Math.max(1, Number(body.tab_warn_threshold || current.tab_warn_threshold)),
-        Math.max(2, Number(body.tab_autosubmit_threshold || current.tab_autosubmit_threshold)),
-        Math.max(0, Number(body.allow_retakes || current.allow_retakes)),
-        integrityNotice,
-        bankCode,
-        JSON.stringify(datasetAllocations),
-        body.assessment_date ?? current.assessment_date ?? null
-      ]
-    );
-    return out.rows[0];
+    const saved = await withTx(async (client) => {
+      const out = await client.query(
+        `UPDATE assessments SET
+           title = $1,
+           passcode = $2,
+           duration_seconds = $3,
+           draw_count = $4,
+           questions_per_category = $5,
+           show_post_review = $6,
+           fullscreen_enforcement = $7,
+           tab_warn_threshold = $8,
+           tab_autosubmit_threshold = $9,
+           allow_retakes = $10,
+           integrity_notice = $11,
+           bank_code = $12,
+           dataset_allocations = $13,
+           assessment_date = $14,
+           escalation_event_types = $15,
+           opens_at = $16,
+           closes_at = $17,
+           resume_approval_code = $18,
+           negative_mark_ratio = $19,
+           pass_mark_percent = $20,
+           question_time_limits = $21,
+           late_answer_policy = $22,
+           navigation_mode = $23,
+           bind_fingerprint = $24,
+           passcode_mode = $25,
+           passcode_secret = $26,
+           passcode_period_seconds = $27,
+           updated_at = NOW()
+         WHERE id = $28
+         RETURNING *`,
+        [
+          title,
+          passcode,
+          Math.max(60, Number(body.duration_seconds || current.duration_seconds)),
+          Math.max(1, Number(body.draw_count || current.draw_count)),
+          JSON.stringify(parseJsonObjectOrEmpty(body.questions_per_category ?? current.questions_per_category)),
+          body.show_post_review ?? current.show_post_review,
+          body.fullscreen_enforcement ?? current.fullscreen_enforcement,
+          Math.max(1, Number(body.tab_warn_threshold || current.tab_warn_threshold)),
+          Math.max(2, Number(body.tab_autosubmit_threshold || current.tab_autosubmit_threshold)),
+          Math.max(0, Number(body.allow_retakes || current.allow_retakes)),
+          integrityNotice,
+          bankCode,
+          JSON.stringify(datasetAllocations),
+          body.assessment_date ?? current.assessment_date ?? null,
+          JSON.stringify(parseEscalationEventTypes(body.escalation_event_types, current.escalation_event_types)),
+          opensAt,
+          closesAt,
+          resumeApprovalCode,
+          negativeMarkRatio,
+          passMarkPercent,
+          body.question_time_limits ?? current.question_time_limits,
+          lateAnswerPolicy,
+          navigationMode,
+          !!(body.bind_fingerprint ?? current.bind_fingerprint),
+          passcodeSettings.mode,
+          passcodeSettings.secret,
+          passcodeSettings.periodSeconds,
+          current.id
+        ]
+      );
+      await recordAudit(client.query.bind(client), request, {
+        action: "assessment.update",
+        targetType: "assessment",
+        targetId: current.code,
+        ...assessmentChange(current, out.rows[0])
+      });
+      return out.rows[0];
+    });
+    return withoutAssessmentSecrets(saved);
+  });
+
+  // Query: bankCode, q (text), category, difficulty, type, tag (repeatable or comma separated), tagMode=all|any,
+  // sort=id|category|difficulty|updated, page, pageSize.
+  fastify.get("/admin/questions", fastify.adminRoute("banks:read"), async (request, reply) => {
+    const params = request.query || {};
+    const bankCode = normalizeBankCode(params.bankCode || "default");
+    if (!canAccessBank(request.admin, bankCode)) return reply.code(403).send({ error: "bank_out_of_scope" });
+    const page = Math.max(1, Math.floor(Number(params.page)) || 1);
+    const pageSize = Math.min(MAX_QUESTION_PAGE_SIZE, Math.max(1, Math.floor(Number(params.pageSize)) || QUESTION_PAGE_SIZE));
+    const filters = {
+      text: sanitizeText(params.q || ""),
+      category: sanitizeText(params.category || ""),
+      difficulty: sanitizeText(params.difficulty || "").toLowerCase(),
+      type: sanitizeText(params.type || "").toLowerCase(),
+      tags: normalizeTags([].concat(params.tag || params.tags || []).join(",")),
+      tagMode: params.tagMode === "any" ? "any" : "all",
+      sort: sanitizeText(params.sort || "id")
+    };
+
+    const result = await loadBankQuestions(bankCode, filters, { limit: pageSize, offset: (page - 1) * pageSize });
+    return {
+      bankCode,
+      page,
+      pageSize,
+      total: result.total,
+      totalPages: Math.ceil(result.total / pageSize),
+      questions: result.questions
+    };
   });
 
-  fastify.get("/admin/questions", { preHandler: fastify.adminAuth }, async (request) => {
+  fastify.get("/admin/questions/tags", fastify.adminRoute("banks:read"), async (request, reply) => {
     const bankCode = normalizeBankCode(request.query?.bankCode || "default");
-    const out = await query(
-      `SELECT q.id, q.category, q.difficulty, q.stem, q.explanation, q.image,
-              COALESCE(json_agg(json_build_object(
-                'id', o.option_key,
-                'text', o.option_text,
-                'correct', o.is_correct
-              ) ORDER BY o.option_key) FILTER (WHERE o.option_key IS NOT NULL), '[]'::json) AS distractors
-       FROM bank_questions q
-       LEFT JOIN bank_question_options o
-         ON o.bank_code = q.bank_code
-        AND o.question_id = q.id
-       WHERE q.bank_code = $1
-       GROUP BY q.id, q.category, q.difficulty, q.stem, q.explanation, q.image
-       ORDER BY q.id`,
-      [bankCode]
-    );
-    return out.rows;
+    if (!canAccessBank(request.admin, bankCode)) return reply.code(403).send({ error: "bank_out_of_scope" });
+    return { bankCode, tags: await loadBankTags(bankCode) };
   });
 
-  fastify.post("/admin/questions", { preHandler: fastify.adminAuth }, async (request, reply) => {
+  fastify.post("/admin/questions", fastify.adminRoute("banks:write"), async (request, reply) => {
     const bankCode = normalizeBankCode(request.body?.bankCode || "default");
+    if (!canAccessBank(request.admin, bankCode)) return reply.code(403).send({ error: "bank_out_of_scope" });
     const q = normalizeQuestionPayload(request.body || {});
-    if (!q.id || !q.category || !q.stem || q.distractors.length < 2 || q.distractors.length > 6) {
-      return reply.code(400).send({ error: "invalid_question_payload" });
+    const invalidReason = validateQuestion(q);
+    if (invalidReason) {
+      return reply.code(400).send({ error: "invalid_question_payload", reason: invalidReason });
+    }
+    if (q.imageAssetId && !(await existingAssetIds(query, [q], bankCode)).has(q.imageAssetId)) {
+      return reply.code(400).send({ error: "invalid_question_payload", reason: "image_asset_not_found" });
     }
 
-    await withTx(async (client) => {
+    const saved = await withTx(async (client) => {
       await ensureBank(client, bankCode, `${bankCode} bank`, "Question bank");
-      await client.query(
-        `INSERT INTO bank_questions (bank_code, id, category, difficulty, stem, explanation, image)
-         VALUES ($1,$2,$3,$4,$5,$6,$7)
-         ON CONFLICT (bank_code, id)
-         DO UPDATE SET category = EXCLUDED.category,
-                       difficulty = EXCLUDED.difficulty,
-                       stem = EXCLUDED.stem,
-                       explanation = EXCLUDED.explanation,
-                       image = EXCLUDED.image,
-                       updated_at = NOW()`,
-        [bankCode, q.id, q.category, q.difficulty, q.stem, q.explanation, q.image]
-      );
-
-      await client.query("DELETE FROM bank_question_options WHERE bank_code = $1 AND question_id = $2", [bankCode, q.id]);
-      for (const option of q.distractors) {
-        await client.query(
-          `INSERT INTO bank_question_options (bank_code, question_id, option_key, option_text, is_correct)
-           VALUES ($1,$2,$3,$4,$5)`,
-          [bankCode, q.id, option.option_key, option.option_text, option.is_correct]
-        );
-      }
+      const previous = await client.query("SELECT revision FROM bank_questions WHERE bank_code = $1 AND id = $2", [bankCode, q.id]);
+      const result = await saveBankQuestion(client, bankCode, q, { author: describeActor(request), changeType: "edit" });
+      await recordAudit(client.query.bind(client), request, {
+        action: previous.rows[0] ? "question.update" : "question.create",
+        targetType: "question",
+        targetId: `${bankCode}/${q.id}`,
+        before: previous.rows[0] ? { revision: previous.rows[0].revision } : null,
+        after: { revision: result.revision, changed: result.changed }
+      });
+      return result;
     });
 
-    return { ok: true, id: q.id, bankCode };
+    return { ok: true, id: q.id, bankCode, revision: saved.revision, changed: saved.changed };
   });
 
-  fastify.delete("/admin/questions/:id", { preHandler: fastify.adminAuth }, async (request) => {
+  fastify.delete("/admin/questions/:id", fastify.adminRoute("banks:write"), async (request, reply) => {
     const bankCode = normalizeBankCode(request.query?.bankCode || "default");
+    if (!canAccessBank(request.admin, bankCode)) return reply.code(403).send({ error: "bank_out_of_scope" });
     const id = sanitizeText(request.params.id);
-    await query("DELETE FROM bank_questions WHERE bank_code = $1 AND id = $2", [bankCode, id]);
-    return { ok: true, bankCode };
-  });
-
-  fastify.post("/admin/questions/import", { preHandler: fastify.adminAuth }, async (request, reply) => {
-    const bankCode = normalizeBankCode(request.body?.bankCode || "default");
-    const payload = request.body?.questions;
-    if (!Array.isArray(payload) || !payload.length) {
-      return reply.code(400).send({ error: "questions_array_required" });
-    }
-
     await withTx(async (client) => {
-      await ensureBank(client, bankCode, `${bankCode} bank`, "Question bank");
-      await client.query("DELETE FROM bank_question_options WHERE bank_code = $1", [bankCode]);
-      await client.query("DELETE FROM bank_questions WHERE bank_code = $1", [bankCode]);
-
-      for (const raw of payload) {
-        const q = normalizeQuestionPayload(raw);
-        if (!q.id || !q.category || !q.stem || q.distractors.length < 2 || q.distractors.length > 6) {
-          continue;
-        }
-        await client.query(
-          `INSERT INTO bank_questions (bank_code, id, category, difficulty, stem, explanation, image)
-           VALUES ($1,$2,$3,$4,$5,$6,$7)`,
-          [bankCode, q.id, q.category, q.difficulty, q.stem, q.explanation, q.image]
-        );
-        for (const option of q.distractors) {
-          await client.query(
-            `INSERT INTO bank_question_options (bank_code, question_id, option_key, option_text, is_correct)
-             VALUES ($1,$2,$3,$4,$5)`,
-            [bankCode, q.id, option.option_key, option.option_text, option.is_correct]
-          );
-        }
-      }
+      const previous = await client.query("SELECT revision FROM bank_questions WHERE bank_code = $1 AND id = $2", [bankCode, id]);
+      if (!(await deleteBankQuestion(client, bankCode, id, { author: describeActor(request), changeType: "delete" }))) return;
+      await recordAudit(client.query.bind(client), request, {
+        action: "question.delete",
+        targetType: "question",
+        targetId: `${bankCode}/${id}`,
+        before: { revision: previous.rows[0]?.revision ?? null }
+      });
     });
+    return { ok: true, bankCode };
+  });
 
-    return { ok: true, imported: payload.length, bankCode };
+  fastify.post("/admin/questions/import", fastify.adminRoute("banks:write"), async (request, reply) => {
+    return importBankQuestions(request, reply, normalizeBankCode(request.body?.bankCode || "default"));
   });
 
-  fastify.get("/admin/results", { preHandler: fastify.adminAuth }, async (request) => {
+  // Voided submissions are left out unless includeVoided=true; they then carry voided_at and void_reason.
+  fastify.get("/admin/results", fastify.adminRoute("results:read"), async (request) => {
     const q = request.query || {};
+    const includeVoided = q.includeVoided === "true";
     const minScore = Number.isFinite(Number(q.minScore)) ? Number(q.minScore) : 0;
     const maxScore = Number.isFinite(Number(q.maxScore)) ? Number(q.maxScore) : 100;
     const withViolations = q.withViolations === "true" ? true : q.withViolations === "false" ? false : null;
+    const passed = q.passed === "true" ? true : q.passed === "false" ? false : null;
 
     const out = await query(
       `SELECT *
        FROM submissions
        WHERE percentage BETWEEN $1 AND $2
          AND ($3::boolean IS NULL OR (violation_count > 0) = $3)
+         AND ($4::boolean IS NULL OR passed = $4)
+         AND ($5::text[] IS NULL OR assessment_id IN (SELECT id FROM assessments WHERE code = ANY($5)))
+         AND ($6::boolean OR voided_at IS NULL)
        ORDER BY submitted_at DESC
        LIMIT 500`,
-      [minScore, maxScore, withViolations]
+      [minScore, maxScore, withViolations, passed, scopeCodes(request.admin, "assessment"), includeVoided]
     );
 
     return out.rows;
   });
 
-  fastify.get("/admin/results/:token", { preHandler: fastify.adminAuth }, async (request, reply) => {
+  fastify.get("/admin/results/:token", fastify.adminRoute("results:read"), async (request, reply) => {
+    const token = sanitizeText(request.params.token);
+    if (!isUuid(token)) return reply.code(404).send({ error: "result_not_found" });
     const out = await query(
-      "SELECT result_payload FROM submissions WHERE session_token = $1",
-      [sanitizeText(request.params.token)]
+      `SELECT s.result_payload, a.code AS assessment_code
+       FROM submissions s
+       JOIN assessments a ON a.id = s.assessment_id
+       WHERE s.session_token = $1`,
+      [token]
     );
     if (!out.rows[0]) {
       return reply.code(404).send({ error: "result_not_found" });
     }
+    if (!canAccessAssessment(request.admin, out.rows[0].assessment_code)) {
+      return reply.code(403).send({ error: "assessment_out_of_scope" });
+    }
     return out.rows[0].result_payload;
   });
 
-  fastify.get("/admin/results.csv", { preHandler: fastify.adminAuth }, async (request, reply) => {
+  fastify.get("/admin/results.csv", fastify.adminRoute("results:read"), async (request, reply) => {
     const out = await query(
-      `SELECT session_token, student_name, student_id, score, total, percentage,
-              time_taken_ms, violation_count, submitted_at
+      `SELECT session_token, student_name, student_id, score, total, marks_obtained, max_marks, percentage, passed,
+              time_taken_ms, extra_time_percent, violation_count, submitted_at, voided_at, void_reason
        FROM submissions
+       WHERE ($1::text[] IS NULL OR assessment_id IN (SELECT id FROM assessments WHERE code = ANY($1)))
+         AND ($2::boolean OR voided_at IS NULL)
        ORDER BY submitted_at DESC
-       LIMIT 5000`
+       LIMIT 5000`,
+      [scopeCodes(request.admin, "assessment"), request.query?.includeVoided === "true"]
     );
 
-    const lines = ["token,name,id,score,total,percentage,timeTakenMs,violations,submittedAt"];
+    const lines = ["token,name,id,score,total,marksObtained,maxMarks,percentage,passed,timeTakenMs,extraTimePercent,violations,submittedAt,voidedAt,voidReason"];
     out.rows.forEach((r) => {
       lines.push([
         csvEscape(r.session_token),
@@ -417,10 +674,16 @@ export default async function adminRoutes(fastify) {
         csvEscape(r.student_id),
         r.score,
         r.total,
+        r.marks_obtained ?? "",
+        r.max_marks ?? "",
         r.percentage,
+        r.passed == null ? "" : r.passed,
         r.time_taken_ms,
+        r.extra_time_percent,
         r.violation_count,
-        csvEscape(new Date(r.submitted_at).toISOString())
+        csvEscape(new Date(r.submitted_at).toISOString()),
+        csvEscape(r.voided_at ? new Date(r.voided_at).toISOString() : ""),
+        csvEscape(r.void_reason || "")
       ].join(","));
     });
 
@@ -0,0 +1,264 @@
+import {
+  ADMIN_ROLES,
+  MIN_PASSWORD_LENGTH,
+  checkAdminPassword,
+  ensureBootstrapOwner,
+  findAdminByUsername,
+  loadAdminUser,
+  normalizeScopes,
+  normalizeUsername,
+  replaceScopes,
+  toAdminForClient
+} from "../adminUsers.js";
+import { recordAudit, summarizeChange } from "../audit.js";
+import { config } from "../config.js";
+import { query, withTx } from "../db.js";
+import { clearFailures, lockoutRemaining, registerFailure } from "../rateLimit.js";
+import { hashPassword, isUuid, sanitizeText } from "../utils.js";
+
+function signAdminToken(reply, user) {
+  return reply.jwtSign(
+    { role: "admin", uid: user.id, username: user.username, tv: user.token_version },
+    { expiresIn: "8h" }
+  );
+}
+
+function sendLockedOut(reply, seconds) {
+  reply.header("Retry-After", String(seconds));
+  return reply.code(429).send({ error: "too_many_attempts", retryAfterSeconds: seconds });
+}
+
+function passwordProblem(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) return "password_too_short";
+  return null;
+}
+
+// Demoting, deactivating or deleting `userId` must leave at least one active owner.
+async function isLastActiveOwner(client, userId) {
+  const out = await client.query(
+    `SELECT COUNT(*) FILTER (WHERE id <> $1)::int AS others,
+            BOOL_OR(id = $1) AS is_owner
+     FROM admin_users
+     WHERE role = 'owner' AND active = true`,
+    [userId]
+  );
+  return !!out.rows[0]?.is_owner && out.rows[0].others === 0;
+}
+
+export default async function adminUserRoutes(fastify) {
+  // Body: { username, password }. `username` defaults to ADMIN_USERNAME so the old password-only form still works.
+  fastify.post("/admin/login", async (request, reply) => {
+    const username = normalizeUsername(request.body?.username || config.adminUsername);
+    const password = String(request.body?.password || "");
+    const userKey = `user:${username}`;
+    const lockedFor = await lockoutRemaining("admin_login", [userKey, `ip:${request.ip}`]);
+    if (lockedFor) return sendLockedOut(reply, lockedFor);
+
+    const user = (await findAdminByUsername(username)) || (await ensureBootstrapOwner(username, password));
+    if (!(await checkAdminPassword(user, password))) {
+      // Single failures are not audited: anyone can cause them, and the log cannot be pruned. A lockout is,
+      // with the failure count that triggered it.
+      const lockout = await registerFailure(
+        "admin_login",
+        [
+          { key: userKey, limit: config.lockout.maxFailures },
+          { key: `ip:${request.ip}`, limit: config.lockout.ipMaxFailures }
+        ],
+        { username, ip: request.ip }
+      );
+      for (const record of lockout.locked) {
+        await recordAudit(query, request, {
+          action: "security.lockout",
+          targetType: "admin_user",
+          targetId: username,
+          actor: username,
+          details: record
+        });
+      }
+      if (lockout.locked.length) return sendLockedOut(reply, lockout.retryAfterSeconds);
+      return reply.code(401).send({ error: "invalid_credentials" });
+    }
+
+    await clearFailures("admin_login", [userKey]);
+    await withTx(async (client) => {
+      await client.query("UPDATE admin_users SET last_login_at = NOW() WHERE id = $1", [user.id]);
+      await recordAudit(client.query.bind(client), request, { action: "auth.login", targetType: "admin_user", targetId: user.username, actor: user.username });
+    });
+    return { token: await signAdminToken(reply, user), user: toAdminForClient(user) };
+  });
+
+  fastify.get("/admin/me", fastify.adminRoute("account:self"), async (request) => {
+    return toAdminForClient(request.admin);
+  });
+
+  // Body: { path } of a stream route, relative to the API root (e.g. "/admin/proctor/ABC/stream"). The token
+  // works for that path only, for a minute; the route still checks the account's permission and scope.
+  fastify.post("/admin/stream-token", fastify.adminRoute("account:self"), async (request, reply) => {
+    const path = String(request.body?.path || "");
+    if (!path.startsWith("/admin/") || /[?#\s]/.test(path) || path.length > 500) {
+      return reply.code(400).send({ error: "invalid_stream_path" });
+    }
+    return fastify.signAdminStreamToken(request.admin, `${fastify.prefix}${path}`);
+  });
+
+  // Changing your own password signs out every other session; the response carries a fresh token for this one.
+  fastify.post("/admin/me/password", fastify.adminRoute("account:self"), async (request, reply) => {
+    const body = request.body || {};
+    if (!(await checkAdminPassword(request.admin, String(body.currentPassword || "")))) {
+      return reply.code(401).send({ error: "invalid_credentials" });
+    }
+    const problem = passwordProblem(body.newPassword);
+    if (problem) return reply.code(400).send({ error: problem, minLength: MIN_PASSWORD_LENGTH });
+
+    const passwordHash = await hashPassword(body.newPassword);
+    await withTx(async (client) => {
+      await client.query(
+        `UPDATE admin_users
+         SET password_hash = $2, token_version = token_version + 1, updated_at = NOW()
+         WHERE id = $1`,
+        [request.admin.id, passwordHash]
+      );
+      await recordAudit(client.query.bind(client), request, {
+        action: "admin_user.password_change",
+        targetType: "admin_user",
+        targetId: request.admin.username
+      });
+    });
+    const user = await loadAdminUser(request.admin.id);
+    return { ok: true, token: await signAdminToken(reply, user) };
+  });
+
+  fastify.get("/admin/users", fastify.adminRoute("users:manage"), async () => {
+    const out = await query("SELECT id FROM admin_users ORDER BY username");
+    const users = await Promise.all(out.rows.map((r) => loadAdminUser(r.id)));
+    return users.filter(Boolean).map(toAdminForClient);
+  });
+
+  // Body: { username, password, role, displayName?, banks?: [code|"*"], assessments?: [code|"*"] }.
+  fastify.post("/admin/users", fastify.adminRoute("users:manage"), async (request, reply) => {
+    const body = request.body || {};
+    const username = normalizeUsername(body.username);
+    const role = sanitizeText(body.role || "").toLowerCase();
+    if (!username) return reply.code(400).send({ error: "username_required" });
+    if (!ADMIN_ROLES.includes(role)) return reply.code(400).send({ error: "invalid_role", roles: ADMIN_ROLES });
+    const problem = passwordProblem(body.password);
+    if (problem) return reply.code(400).send({ error: problem, minLength: MIN_PASSWORD_LENGTH });
+
+    const passwordHash = await hashPassword(body.password);
+    const result = await withTx(async (client) => {
+      const taken = await client.query("SELECT 1 FROM admin_users WHERE username = $1", [username]);
+      if (taken.rows[0]) return { error: "username_taken", code: 409 };
+      const out = await client.query(
+        `INSERT INTO admin_users (username, display_name, password_hash, role)
+         VALUES ($1,$2,$3,$4)
+         RETURNING id`,
+        [username, sanitizeText(body.displayName || username), passwordHash, role]
+      );
+      const scopes = normalizeScopes(body);
+      await replaceScopes(client, out.rows[0].id, scopes);
+      await recordAudit(client.query.bind(client), request, {
+        action: "admin_user.create",
+        targetType: "admin_user",
+        targetId: username,
+        after: { role, ...scopes }
+      });
+      return { id: out.rows[0].id };
+    });
+    if (result.error) {
+      const { code, ...failure } = result;
+      return reply.code(code).send(failure);
+    }
+    return toAdminForClient(await loadAdminUser(result.id));
+  });
+
+  // Body: any of { displayName, role, active, password, banks, assessments }. Scopes are replaced when given.
+  fastify.put("/admin/users/:id", fastify.adminRoute("users:manage"), async (request, reply) => {
+    const body = request.body || {};
+    const current = await loadAdminUser(sanitizeText(request.params.id));
+    if (!current) return reply.code(404).send({ error: "admin_user_not_found" });
+
+    const role = body.role === undefined ? current.role : sanitizeText(body.role).toLowerCase();
+    if (!ADMIN_ROLES.includes(role)) return reply.code(400).send({ error: "invalid_role", roles: ADMIN_ROLES });
+    const active = body.active === undefined ? current.active : !!body.active;
+    if (body.password !== undefined) {
+      const problem = passwordProblem(body.password);
+      if (problem) return reply.code(400).send({ error: problem, minLength: MIN_PASSWORD_LENGTH });
+    }
+    const passwordHash = body.password === undefined ? null : await hashPassword(body.password);
+
+    const result = await withTx(async (client) => {
+      if ((role !== "owner" || !active) && (await isLastActiveOwner(client, current.id))) {
+        return { error: "last_owner_required", code: 409 };
+      }
+      // A new password or deactivation invalidates tokens already issued to the account.
+      const revoke = passwordHash !== null || (current.active && !active);
+      await client.query(
+        `UPDATE admin_users
+         SET display_name = $2, role = $3, active = $4,
+             password_hash = COALESCE($5, password_hash),
+             token_version = token_version + $6,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [current.id, sanitizeText(body.displayName ?? current.display_name), role, active, passwordHash, revoke ? 1 : 0]
+      );
+      const scopes = body.banks !== undefined || body.assessments !== undefined
+        ? normalizeScopes({ banks: body.banks ?? current.banks, assessments: body.assessments ?? current.assessments })
+        : { banks: current.banks, assessments: current.assessments };
+      await replaceScopes(client, current.id, scopes);
+      await recordAudit(client.query.bind(client), request, {
+        action: "admin_user.update",
+        targetType: "admin_user",
+        targetId: current.username,
+        ...summarizeChange(
+          {
+            display_name: current.display_name,
+            role: current.role,
+            active: current.active,
+            password: "",
+            banks: current.banks,
+            assessments: current.assessments
+          },
+          {
+            display_name: sanitizeText(body.displayName ?? current.display_name),
+            role,
+            active,
+            password: passwordHash ? "new" : "",
+            ...scopes
+          }
+        )
+      });
+      return { ok: true };
+    });
+    if (result.error) {
+      const { code, ...failure } = result;
+      return reply.code(code).send(failure);
+    }
+    return toAdminForClient(await loadAdminUser(current.id));
+  });
+
+  fastify.delete("/admin/users/:id", fastify.adminRoute("users:manage"), async (request, reply) => {
+    const id = sanitizeText(request.params.id);
+    if (id === request.admin.id) return reply.code(409).send({ error: "cannot_delete_self" });
+
+    if (!isUuid(id)) return reply.code(404).send({ error: "admin_user_not_found" });
+
+    const result = await withTx(async (client) => {
+      const out = await client.query("SELECT id, username, role FROM admin_users WHERE id = $1 FOR UPDATE", [id]);
+      if (!out.rows[0]) return { error: "admin_user_not_found", code: 404 };
+      if (await isLastActiveOwner(client, out.rows[0].id)) return { error: "last_owner_required", code: 409 };
+      await client.query("DELETE FROM admin_users WHERE id = $1", [out.rows[0].id]);
+      await recordAudit(client.query.bind(client), request, {
+        action: "admin_user.delete",
+        targetType: "admin_user",
+        targetId: out.rows[0].username,
+        before: { role: out.rows[0].role }
+      });
+      return { ok: true, id: out.rows[0].id };
+    });
+    if (result.error) {
+      const { code, ...failure } = result;
+      return reply.code(code).send(failure);
+    }
+    return result;
+  });
+}
@@ -1,10 +1,49 @@
+import { recordAudit } from "../audit.js";
+import { config } from "../config.js";
 import { query, withTx } from "../db.js";
 import { redis } from "../redis.js";
-import { fisherYates, parseJsonObjectOrEmpty, randomUuid, sanitizeText } from "../utils.js";
+import { readAsset } from "../media.js";
+import { checkAssessmentSecret } from "../passcodes.js";
+import { publishProctorEvent } from "../proctoring.js";
+import { clearFailures, consumeRate, lockoutRemaining, registerFailure } from "../rateLimit.js";
+import { computeQuestionSeconds, isAnswered, parseAnswerPayload } from "../questionTypes.js";
+import {
+  QUESTION_TIME_GRACE_MS,
+  countAnswered,
+  finalizeSession,
+  getQuestionLimitMs,
+  getQuestionRemainingMs,
+  getRemainingMs,
+  isFreeNavigation
+} from "../sessions.js";
+import {
+  clientFingerprint,
+  fisherYates,
+  hashSecret,
+  normalizePersonName,
+  parseEscalationEventTypes,
+  parseJsonObjectOrEmpty,
+  randomUuid,
+  safeEqual,
+  sanitizeText
+} from "../utils.js";
 
-function buildSessionQuestions(rawQuestions) {
+const EVENT_RATE_WINDOW_SECONDS = 10;
+const AUTH_START_RATE_WINDOW_SECONDS = 60;
+
+function sendLockedOut(reply, seconds) {
+  reply.header("Retry-After", String(seconds));
+  return reply.code(429).send({ error: "too_many_attempts", retryAfterSeconds: seconds });
+}
+
+function buildSessionQuestions(rawQuestions, assessment) {
   return rawQuestions.map((q) => {
-    const shuffledOptions = fisherYates(q.options || []).map((o, idx) => ({
+    const type = q.question_type || "single";
+    // True/false keeps its natural order; every other option list is shuffled per student.
+    const orderedOptions = type === "true_false"
+      ? (q.options || []).slice().sort((a, b) => (a.option_key === "true" ? -1 : b.option_key === "true" ? 1 : 0))
+      : fisherYates(q.options || []);
+    const shuffledOptions = orderedOptions.map((o, idx) => ({
       displayLabel: String.fromCharCode(65 + idx),
       originalId: o.option_key,
       text: o.option_text,
@@ -13,11 +52,24 @@ function buildSessionQuestions(rawQuestions) {
 
     return {
       id: q.id,
+      bankCode: q.bank_code,
+      revision: q.revision,
+      type,
+      scoringRule: q.scoring_rule,
+      numericAnswer: q.numeric_answer,
+      numericTolerance: q.numeric_tolerance,
+      marks: q.marks == null ? 1 : Number(q.marks),
+      // Per-question clocks only make sense when students cannot come back to a question.
+      timeLimitSeconds: assessment.question_time_limits === false || assessment.navigation_mode === "free"
+        ? null
+        : q.time_limit_seconds || computeQuestionSeconds(q.stem),
       category: q.category,
       difficulty: q.difficulty,
       stem: q.stem,
       explanation: q.explanation,
       image: q.image,
+      imageAssetId: q.image_asset_id || null,
+      tags: q.tags || [],
       distractors: shuffledOptions
     };
   });
@@ -52,19 +104,33 @@ function pickQuestions(questionRows, drawCount, questionsPerCategory) {
   return fisherYates(selected).slice(0, Math.min(drawCount, questionRows.length));
 }
 
+function parseTagList(value) {
+  return Array.isArray(value) ? value.map((t) => sanitizeText(t).toLowerCase()).filter(Boolean) : [];
+}
+
 function parseDatasetAllocations(value) {
   const arr = Array.isArray(value) ? value : [];
   return arr
     .map((x) => ({
       bankCode: sanitizeText(x.bankCode || x.bank_code || "").toLowerCase(),
-      count: Math.max(0, Number(x.count || 0))
+      count: Math.max(0, Number(x.count || 0)),
+      tags: parseTagList(x.tags),
+      excludeTags: parseTagList(x.excludeTags || x.exclude_tags)
     }))
     .filter((x) => x.bankCode && x.count > 0);
 }
 
+// An allocation's pool: questions carrying every one of its tags and none of its excluded tags.
+function matchesAllocationTags(question, allocation) {
+  const tags = question.tags || [];
+  return allocation.tags.every((t) => tags.includes(t)) && !allocation.excludeTags.some((t) => tags.includes(t));
+}
+
 async function fetchBankQuestions(bankCode) {
   const questionsRes = await query(
-    `SELECT q.id, q.category, q.difficulty, q.stem, q.explanation, q.image,
+    `SELECT q.id, q.bank_code, q.category, q.difficulty, q.stem, q.explanation, q.image,
+            q.question_type, q.scoring_rule, q.numeric_answer, q.numeric_tolerance, q.marks, q.time_limit_seconds, q.revision,
+            q.image_asset_id, q.tags,
             COALESCE(json_agg(json_build_object(
               'option_key', o.option_key,
               'option_text', o.option_text,
@@ -75,14 +141,17 @@ async function fetchBankQuestions(bankCode) {
        ON o.bank_code = q.bank_code
       AND o.question_id = q.id
      WHERE q.bank_code = $1
-     GROUP BY q.id, q.category, q.difficulty, q.stem, q.explanation, q.image
+     GROUP BY q.id, q.bank_code, q.category, q.difficulty, q.stem, q.explanation, q.image,
+              q.question_type, q.scoring_rule, q.numeric_answer, q.numeric_tolerance, q.marks, q.time_limit_seconds, q.revision,
+              q.image_asset_id, q.tags
      ORDER BY q.id`,
     [bankCode]
   );
   return questionsRes.rows;
 }
 
-function toQuestionForClient(session, index) {
+// `assetUrl(assetId)` returns the signed URL for a question image (fastify.sessionAssetUrl bound to the caller).
+function toQuestionForClient(session, index, assetUrl) {
   const question = session.questions_snapshot?.[index];
   if (!question) return null;
   return {
@@ -90,108 +159,123 @@ function toQuestionForClient(session, index) {
     questionIndex: index,
     totalQuestions: session.question_order.length,
     progressLabel: `Question ${index + 1} of ${session.question_order.length}`,
+    questionTimeLimitMs: getQuestionLimitMs(session, question),
+    questionRemainingMs: getQuestionRemainingMs(session, question),
     question: {
       id: question.id,
+      type: question.type || "single",
+      marks: question.marks ?? 1,
       category: question.category,
       difficulty: question.difficulty,
       stem: question.stem,
       image: question.image,
-      options: question.distractors.map((d) => ({
+      imageUrl: question.imageAssetId ? assetUrl(question.imageAssetId) : null,
+      options: (question.distractors || []).map((d) => ({
         displayLabel: d.displayLabel,
         originalId: d.originalId,
         text: d.text
       }))
-    }
+    },
+    ...(isFreeNavigation(session) ? savedAnswerForClient(session, question.id) : {})
   };
 }
 
-async function finalizeSession(client, session, autoSubmitted) {
-  if (session.status === "submitted") {
-    const existing = await client.query(
-      "SELECT result_payload FROM submissions WHERE session_token = $1",
-      [session.token]
-    );
-    return existing.rows[0]?.result_payload || null;
-  }
-
-  const answerMap = new Map((session.answers || []).map((a) => [a.questionId, a.selectedOriginalId]));
-  let score = 0;
-  const details = (session.questions_snapshot || []).map((q) => {
-    const selectedId = answerMap.get(q.id) || null;
-    const selected = (q.distractors || []).find((d) => d.originalId === selectedId) || null;
-    const correct = (q.distractors || []).find((d) => d.correct) || null;
-    const isCorrect = !!selected && !!correct && selected.originalId === correct.originalId;
-    if (isCorrect) score += 1;
+function savedAnswerForClient(session, questionId) {
+  const saved = session.answer_map?.[questionId];
+  return {
+    answer: saved
+      ? {
+          selectedOriginalId: saved.selectedOriginalId ?? null,
+          selectedOriginalIds: saved.selectedOriginalIds ?? null,
+          numericValue: saved.numericValue ?? null
+        }
+      : null,
+    flagged: (session.flagged_questions || []).includes(questionId)
+  };
+}
 
-    return {
-      questionId: q.id,
-      stem: q.stem,
-      selected: selected ? selected.text : "Unanswered",
-      correct: correct ? correct.text : "N/A",
-      explanation: q.explanation,
-      isCorrect
-    };
-  });
+function navigationSummary(session) {
+  const flagged = new Set(session.flagged_questions || []);
+  return (session.questions_snapshot || []).map((q, index) => ({
+    index,
+    questionId: q.id,
+    answered: !!session.answer_map?.[q.id],
+    flagged: flagged.has(q.id)
+  }));
+}
 
-  const total = session.question_order.length;
-  const percentage = total ? Math.round((score / total) * 100) : 0;
-  const startedAt = new Date(session.started_at).getTime();
-  const submittedAtIso = new Date().toISOString();
-  const submittedAtMs = new Date(submittedAtIso).getTime();
-  const timeTakenMs = Math.max(0, submittedAtMs - startedAt);
+// Free navigation opens on the first unanswered question; linear sessions are always at the next one in order.
+function currentQuestionIndex(session) {
+  if (!isFreeNavigation(session)) return (session.answers || []).length;
+  const index = (session.questions_snapshot || []).findIndex((q) => !session.answer_map?.[q.id]);
+  return index === -1 ? 0 : index;
+}
 
-  const violationCountRow = await client.query(
-    "SELECT COUNT(*)::int AS count FROM violation_events WHERE session_token = $1",
-    [session.token]
+// Linear delivery starts the per-question clock the first time a question is served; refetches keep it running.
+async function serveQuestion(session, index, assetUrl) {
+  if (isFreeNavigation(session)) return toQuestionForClient(session, index, assetUrl);
+  const served = await query(
+    `UPDATE sessions SET question_served_at = COALESCE(question_served_at, $2)
+     WHERE token = $1
+     RETURNING question_served_at`,
+    [session.token, new Date().toISOString()]
   );
-  const violationCount = violationCountRow.rows[0]?.count || 0;
+  return toQuestionForClient(
+    { ...session, question_served_at: served.rows[0]?.question_served_at ?? session.question_served_at },
+    index,
+    assetUrl
+  );
+}
 
-  const resultPayload = {
-    token: session.token,
-    seed: session.seed,
-    student: {
-      fullName: session.student_name,
-      studentId: session.student_id
-    },
-    score,
-    total,
-    percentage,
-    timeTakenMs,
-    violationCount,
-    submittedAt: submittedAtIso,
-    autoSubmitted: !!autoSubmitted,
-    details
-  };
+// Free-navigation answers overwrite freely until submit; a blank payload clears the saved answer.
+async function saveFreeNavigationAnswer(client, session, questionId, body) {
+  const question = (session.questions_snapshot || []).find((q) => q.id === questionId);
+  if (!question) return { error: "question_not_in_session", code: 409 };
 
-  await client.query(
-    `UPDATE sessions
-     SET status = 'submitted', submitted_at = NOW(), score = $2, total = $3, auto_submitted = $4
-     WHERE token = $1`,
-    [session.token, score, total, !!autoSubmitted]
-  );
+  const parsed = parseAnswerPayload(question, body);
+  if (parsed.error) return { error: parsed.error, code: 400 };
+
+  const answerMap = { ...(session.answer_map || {}) };
+  if (isAnswered(parsed.answer)) {
+    answerMap[questionId] = { ...parsed.answer, answeredAt: new Date().toISOString() };
+  } else {
+    delete answerMap[questionId];
+  }
+  let flagged = session.flagged_questions || [];
+  if (typeof body.flagged === "boolean") {
+    flagged = flagged.filter((id) => id !== questionId).concat(body.flagged ? [questionId] : []);
+  }
 
   await client.query(
-    `INSERT INTO submissions (
-       session_token, assessment_id, student_name, student_id,
-       score, total, percentage, time_taken_ms, violation_count, auto_submitted, result_payload
-     ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
-     ON CONFLICT (session_token) DO NOTHING`,
-    [
-      session.token,
-      session.assessment_id,
-      session.student_name,
-      session.student_id,
-      score,
-      total,
-      percentage,
-      timeTakenMs,
-      violationCount,
-      !!autoSubmitted,
-      JSON.stringify(resultPayload)
-    ]
+    "UPDATE sessions SET answer_map = $2, flagged_questions = $3 WHERE token = $1",
+    [session.token, JSON.stringify(answerMap), JSON.stringify(flagged)]
   );
+  const updated = { ...session, answer_map: answerMap, flagged_questions: flagged };
+  const answered = countAnswered(updated);
+  await publishProctorEvent(session.assessment_id, "progress", {
+    token: session.token,
+    answered,
+    total: session.question_order.length
+  });
 
-  return resultPayload;
+  return {
+    done: false,
+    saved: true,
+    answered,
+    total: session.question_order.length,
+    flagged: flagged.includes(questionId),
+    remainingMs: getRemainingMs(session)
+  };
+}
+
+function inactiveSessionError(session) {
+  if (session.status === "paused") {
+    return { error: "session_paused", code: 423, remainingMs: getRemainingMs(session) };
+  }
+  if (session.status === "voided") {
+    return { error: "session_voided", code: 409, reason: session.void_reason };
+  }
+  return { error: "session_not_active", code: 409 };
 }
 
 async function getSessionOrReply(reply, token) {
@@ -204,39 +288,124 @@ async function getSessionOrReply(reply, token) {
   return session;
 }
 
-function getRemainingMs(session) {
-  return Math.max(0, new Date(session.expires_at).getTime() - Date.now());
+function evaluateEscalation(policy, count) {
+  const warnThreshold = Number(policy.tab_warn_threshold || 0);
+  const autosubmitThreshold = Number(policy.tab_autosubmit_threshold || 0);
+  let level = "none";
+  if (autosubmitThreshold > 0 && count >= autosubmitThreshold) {
+    level = "auto_submitted";
+  } else if (warnThreshold > 0 && count >= warnThreshold) {
+    level = "warning";
+  }
+  return { level, count, warnThreshold, autosubmitThreshold };
+}
+
+const PUBLIC_ASSESSMENT_COLUMNS = `code, title, duration_seconds, draw_count, show_post_review,
+              fullscreen_enforcement, tab_warn_threshold, tab_autosubmit_threshold,
+              allow_retakes, integrity_notice, bank_code, dataset_allocations, assessment_date,
+              escalation_event_types, opens_at, closes_at, negative_mark_ratio, pass_mark_percent,
+              question_time_limits, late_answer_policy, navigation_mode`;
+
+// Without an explicit opens_at, an assessment opens at the start of its assessment_date.
+const OPEN_WINDOW_SQL = `COALESCE(opens_at, assessment_date::timestamptz, '-infinity'::timestamptz) <= NOW()
+         AND (closes_at IS NULL OR closes_at > NOW())`;
+
+function getAssessmentWindowState(assessment, now = Date.now()) {
+  if (assessment.window_opens_at && new Date(assessment.window_opens_at).getTime() > now) {
+    return "not_yet_open";
+  }
+  if (assessment.closes_at && new Date(assessment.closes_at).getTime() <= now) {
+    return "closed";
+  }
+  return "open";
+}
+
+function toAssessmentForClient(assessment) {
+  return {
+    code: assessment.code,
+    title: assessment.title,
+    durationSeconds: assessment.duration_seconds,
+    drawCount: assessment.draw_count,
+    showPostReview: assessment.show_post_review,
+    fullscreenEnforcement: assessment.fullscreen_enforcement,
+    tabWarnThreshold: assessment.tab_warn_threshold,
+    tabAutosubmitThreshold: assessment.tab_autosubmit_threshold,
+    escalationEventTypes: parseEscalationEventTypes(assessment.escalation_event_types),
+    allowRetakes: assessment.allow_retakes,
+    integrityNotice: assessment.integrity_notice,
+    bankCode: sanitizeText(assessment.bank_code || "default"),
+    datasetAllocations: parseDatasetAllocations(assessment.dataset_allocations),
+    assessmentDate: assessment.assessment_date,
+    opensAt: assessment.window_opens_at,
+    closesAt: assessment.closes_at,
+    negativeMarkRatio: Number(assessment.negative_mark_ratio || 0),
+    passMarkPercent: assessment.pass_mark_percent ?? null,
+    questionTimeLimits: assessment.question_time_limits !== false,
+    lateAnswerPolicy: assessment.late_answer_policy || "blank",
+    navigationMode: assessment.navigation_mode || "linear"
+  };
 }
 
 export default async function assessmentRoutes(fastify) {
+  // Question image URLs are signed for the requesting client's session (and fingerprint, when bound).
+  const signedAssetUrls = (request, session) => (assetId) => fastify.sessionAssetUrl(session, assetId, request.student.fp);
+
   fastify.get("/health", async () => ({ ok: true, service: "secure-mcq-backend" }));
 
-  fastify.get("/assessment/active", async () => {
+  fastify.get("/assessment/active", async (request) => {
+    const code = sanitizeText(request.query?.code || "").toUpperCase();
     const out = await query(
-      `SELECT code, title, duration_seconds, draw_count, show_post_review,
-              fullscreen_enforcement, tab_warn_threshold, tab_autosubmit_threshold,
-              allow_retakes, integrity_notice, bank_code, dataset_allocations, assessment_date
+      `SELECT ${PUBLIC_ASSESSMENT_COLUMNS}
        FROM assessments
        WHERE is_active = true
+         AND ($1 = '' OR code = $1)
+         AND ${OPEN_WINDOW_SQL}
        ORDER BY created_at DESC
-       LIMIT 1`
+       LIMIT 1`,
+      [code]
     );
     return out.rows[0] || null;
   });
 
+  fastify.get("/assessments/open", async () => {
+    const out = await query(
+      `SELECT ${PUBLIC_ASSESSMENT_COLUMNS}
+       FROM assessments
+       WHERE is_active = true
+         AND ${OPEN_WINDOW_SQL}
+       ORDER BY COALESCE(opens_at, assessment_date::timestamptz, created_at), code`
+    );
+    return out.rows;
+  });
+
   fastify.post("/auth/start", async (request, reply) => {
     const body = request.body || {};
     const fullName = sanitizeText(body.fullName);
     const studentId = sanitizeText(body.studentId);
     const passcode = sanitizeText(body.passcode || "");
-    const assessmentCode = sanitizeText(body.assessmentCode || "");
+    const assessmentCode = sanitizeText(body.assessmentCode || "").toUpperCase();
+    const accessCode = sanitizeText(body.accessCode || "").toUpperCase();
 
     if (!fullName || !studentId) {
       return reply.code(400).send({ error: "fullName_and_studentId_required" });
     }
+    if (!assessmentCode) {
+      return reply.code(400).send({ error: "assessmentCode_required" });
+    }
+
+    // Wrong passcodes, access codes and resume approval codes all count towards one lockout per candidate,
+    // and a looser one per IP (a whole exam hall may share an address).
+    const candidateKey = `student:${assessmentCode}:${studentId}`;
+    const lockedFor = await lockoutRemaining("passcode", [candidateKey, `ip:${request.ip}`]);
+    if (lockedFor) return sendLockedOut(reply, lockedFor);
+    // Every attempt costs a scrypt hash, so attempts are also throttled per IP, right or wrong.
+    const rate = await consumeRate(`auth_start:${request.ip}`, config.authStartRateLimit, AUTH_START_RATE_WINDOW_SECONDS);
+    if (!rate.allowed) return sendLockedOut(reply, rate.retryAfterSeconds);
 
     const assessmentRes = await query(
-      `SELECT * FROM assessments WHERE is_active = true AND ($1 = '' OR code = $1) ORDER BY created_at DESC LIMIT 1`,
+      `SELECT *, COALESCE(opens_at, assessment_date::timestamptz) AS window_opens_at
+       FROM assessments
+       WHERE is_active = true AND code = $1`,
       [assessmentCode]
     );
     const assessment = assessmentRes.rows[0];
@@ -244,14 +413,169 @@ export default async function assessmentRoutes(fastify) {
       return reply.code(404).send({ error: "assessment_not_found" });
     }
 
-    if ((assessment.passcode || "") !== (passcode || "")) {
-      return reply.code(403).send({ error: "invalid_passcode" });
+    const fingerprint = assessment.bind_fingerprint
+      ? clientFingerprint(request.headers["user-agent"], body.screenResolution)
+      : null;
+    const rejectSecret = async (error) => {
+      const lockout = await registerFailure(
+        "passcode",
+        [
+          { key: candidateKey, limit: config.lockout.maxFailures },
+          { key: `ip:${request.ip}`, limit: config.lockout.ipMaxFailures }
+        ],
+        { assessmentCode, studentId, ip: request.ip }
+      );
+      for (const record of lockout.locked) {
+        await publishProctorEvent(assessment.id, "lockout", record);
+        await recordAudit(query, request, {
+          action: "security.lockout",
+          targetType: "assessment",
+          targetId: assessmentCode,
+          actor: `student:${studentId}`,
+          details: record
+        });
+      }
+      if (lockout.locked.length) return sendLockedOut(reply, lockout.retryAfterSeconds);
+      return reply.code(403).send({ error });
+    };
+
+    const windowState = getAssessmentWindowState(assessment);
+    if (windowState !== "open") {
+      return reply.code(403).send({
+        error: windowState === "not_yet_open" ? "assessment_not_open" : "assessment_closed",
+        opensAt: assessment.window_opens_at,
+        closesAt: assessment.closes_at
+      });
+    }
+
+    if (!(await checkAssessmentSecret(assessment, "passcode", passcode))) {
+      return rejectSecret("invalid_passcode");
+    }
+
+    // A crashed browser leaves its session active; finalize it if time ran out, otherwise offer to reattach.
+    let resumable = null;
+    const activeRes = await query(
+      `SELECT * FROM sessions
+       WHERE assessment_id = $1 AND student_id = $2 AND status IN ('active', 'paused')
+       ORDER BY started_at DESC`,
+      [assessment.id, studentId]
+    );
+    for (const existing of activeRes.rows) {
+      if (getRemainingMs(existing) <= 0) {
+        await withTx((client) => finalizeSession(client, existing, true));
+      } else if (!resumable) {
+        resumable = existing;
+      }
+    }
+
+    // A non-empty roster restricts the assessment to listed candidates holding their one-time access code.
+    const rosterSizeRes = await query(
+      "SELECT COUNT(*)::int AS count FROM assessment_roster WHERE assessment_id = $1",
+      [assessment.id]
+    );
+    const rosterEnforced = (rosterSizeRes.rows[0]?.count || 0) > 0;
+    let rosterFullName = fullName;
+    if (rosterEnforced) {
+      const candidateRes = await query(
+        `SELECT full_name, access_code_hash, access_code_used_at
+         FROM assessment_roster
+         WHERE assessment_id = $1 AND student_id = $2`,
+        [assessment.id, studentId]
+      );
+      const candidate = candidateRes.rows[0];
+      if (!candidate || normalizePersonName(candidate.full_name) !== normalizePersonName(fullName)) {
+        return rejectSecret("candidate_not_on_roster");
+      }
+      if (!accessCode || !safeEqual(candidate.access_code_hash, hashSecret(accessCode))) {
+        return rejectSecret("invalid_access_code");
+      }
+      if (candidate.access_code_used_at && !resumable) {
+        return reply.code(409).send({ error: "access_code_already_used" });
+      }
+      rosterFullName = candidate.full_name;
     }
 
+    if (resumable) {
+      // Name, ID and passcode are not enough to take over a live session: a resume also needs the roster access
+      // code, the resume approval code, an invigilator's approval or the browser the session was started in.
+      const proctorApproved = !!resumable.resume_approved_until && new Date(resumable.resume_approved_until) > new Date();
+      const sameClient = safeEqual(
+        clientFingerprint(resumable.user_agent, resumable.screen_resolution),
+        clientFingerprint(request.headers["user-agent"] || "unknown", body.screenResolution || "unknown")
+      );
+      const requiresApproval = !!assessment.resume_approval_code || (!rosterEnforced && !sameClient);
+      if (!body.resume) {
+        return reply.code(409).send({
+          error: "active_session_exists",
+          resumable: true,
+          requiresApproval: requiresApproval && !proctorApproved,
+          approvalCodeAccepted: !!assessment.resume_approval_code,
+          answered: countAnswered(resumable),
+          remainingMs: getRemainingMs(resumable)
+        });
+      }
+      if (normalizePersonName(resumable.student_name) !== normalizePersonName(fullName)) {
+        return reply.code(403).send({ error: "resume_identity_mismatch" });
+      }
+      const approvalCode = sanitizeText(body.approvalCode || "");
+      if (approvalCode && !(await checkAssessmentSecret(assessment, "resume_approval_code", approvalCode))) {
+        return rejectSecret("invalid_resume_approval_code");
+      }
+      if (requiresApproval && !approvalCode && !proctorApproved) {
+        await publishProctorEvent(assessment.id, "resume_requested", {
+          token: resumable.token,
+          studentId: resumable.student_id,
+          studentName: resumable.student_name
+        });
+        return reply.code(409).send({ error: "resume_requires_approval", approvalCodeAccepted: !!assessment.resume_approval_code });
+      }
+      await clearFailures("passcode", [candidateKey]);
+
+      // The resumed client gets a fresh credential and any issued to the old one stop working. An invigilator's
+      // approval is used up by this resume.
+      const rotated = await query(
+        `UPDATE sessions SET credential_version = credential_version + 1, resume_approved_until = NULL
+         WHERE token = $1
+         RETURNING token, credential_version`,
+        [resumable.token]
+      );
+      const userAgent = request.headers["user-agent"] || "unknown";
+      const screenResolution = sanitizeText(body.screenResolution || "unknown");
+      await query(
+        `INSERT INTO violation_events (session_token, event_type, details, question_index)
+         VALUES ($1, 'session_resumed', $2, $3)`,
+        [
+          resumable.token,
+          sanitizeText(`ua=${userAgent} screen=${screenResolution} approved=${requiresApproval} proctor_approved=${proctorApproved}`),
+          currentQuestionIndex(resumable)
+        ]
+      );
+      await publishProctorEvent(assessment.id, "session_resumed", {
+        token: resumable.token,
+        studentId: resumable.student_id,
+        studentName: resumable.student_name
+      });
+
+      return {
+        token: resumable.token,
+        credential: fastify.signSessionCredential(rotated.rows[0], fingerprint),
+        seed: resumable.seed,
+        startedAt: new Date(resumable.started_at).toISOString(),
+        expiresAt: new Date(resumable.expires_at).toISOString(),
+        resumed: true,
+        answered: countAnswered(resumable),
+        extraTimePercent: resumable.extra_time_percent,
+        navigationMode: resumable.navigation_mode,
+        assessment: toAssessmentForClient(assessment)
+      };
+    }
+
+    await clearFailures("passcode", [candidateKey]);
+    // Voided attempts do not count against the retake allowance.
     const attemptsRes = await query(
       `SELECT COUNT(*)::int AS count
        FROM submissions
-       WHERE assessment_id = $1 AND student_id = $2`,
+       WHERE assessment_id = $1 AND student_id = $2 AND voided_at IS NULL`,
       [assessment.id, studentId]
     );
     const attempts = attemptsRes.rows[0]?.count || 0;
@@ -265,9 +589,13 @@ export default async function assessmentRoutes(fastify) {
     let selectedQuestions = [];
 
     if (allocations.length) {
+      // Allocations may share a bank with overlapping tag filters, so a question is only drawn once.
+      const drawnKeys = new Set();
       for (const part of allocations) {
-        const rows = await fetchBankQuestions(part.bankCode);
+        const rows = (await fetchBankQuestions(part.bankCode))
+          .filter((q) => matchesAllocationTags(q, part) && !drawnKeys.has(`${q.bank_code}|${q.id}`));
         const picked = fisherYates(rows).slice(0, Math.min(part.count, rows.length));
+        picked.forEach((q) => drawnKeys.add(`${q.bank_code}|${q.id}`));
         selectedQuestions.push(...picked);
       }
       selectedQuestions = fisherYates(selectedQuestions).slice(0, drawCount);
@@ -288,32 +616,64 @@ export default async function assessmentRoutes(fastify) {
       return reply.code(400).send({ error: "question_bank_empty" });
     }
 
-    const snapshot = buildSessionQuestions(selectedQuestions);
+    const snapshot = buildSessionQuestions(selectedQuestions, assessment);
     const token = randomUuid();
     const seed = randomUuid();
     const startedAtIso = new Date().toISOString();
-    const expiresAtIso = new Date(Date.now() + Number(assessment.duration_seconds) * 1000).toISOString();
-
-    await query(
-      `INSERT INTO sessions (
-         token, seed, assessment_id, student_name, student_id,
-         user_agent, screen_resolution, started_at, expires_at,
-         question_order, questions_snapshot
-       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
-      [
-        token,
-        seed,
-        assessment.id,
-        fullName,
-        studentId,
-        request.headers["user-agent"] || "unknown",
-        sanitizeText(body.screenResolution || "unknown"),
-        startedAtIso,
-        expiresAtIso,
-        JSON.stringify(snapshot.map((q) => q.id)),
-        JSON.stringify(snapshot)
-      ]
+    // An assessment-specific accommodation wins over the student's global one.
+    const accommodationRes = await query(
+      `SELECT extra_time_percent
+       FROM student_accommodations
+       WHERE student_id = $1 AND (assessment_id = $2 OR assessment_id IS NULL)
+       ORDER BY assessment_id NULLS LAST
+       LIMIT 1`,
+      [studentId, assessment.id]
     );
+    const extraTimePercent = Number(accommodationRes.rows[0]?.extra_time_percent || 0);
+    const durationSeconds = Math.round(Number(assessment.duration_seconds) * (1 + extraTimePercent / 100));
+    const expiresAtIso = new Date(Date.now() + durationSeconds * 1000).toISOString();
+    const navigationMode = assessment.navigation_mode === "free" ? "free" : "linear";
+
+    const inserted = await withTx(async (client) => {
+      if (rosterEnforced) {
+        const consumed = await client.query(
+          `UPDATE assessment_roster
+           SET access_code_used_at = NOW(), updated_at = NOW()
+           WHERE assessment_id = $1 AND student_id = $2 AND access_code_used_at IS NULL
+           RETURNING student_id`,
+          [assessment.id, studentId]
+        );
+        if (!consumed.rows[0]) return { error: "access_code_already_used", code: 409 };
+      }
+
+      await client.query(
+        `INSERT INTO sessions (
+           token, seed, assessment_id, student_name, student_id,
+           user_agent, screen_resolution, started_at, expires_at,
+           question_order, questions_snapshot, extra_time_percent, navigation_mode
+         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)`,
+        [
+          token,
+          seed,
+          assessment.id,
+          rosterFullName,
+          studentId,
+          request.headers["user-agent"] || "unknown",
+          sanitizeText(body.screenResolution || "unknown"),
+          startedAtIso,
+          expiresAtIso,
+          JSON.stringify(snapshot.map((q) => q.id)),
+          JSON.stringify(snapshot),
+          extraTimePercent,
+          navigationMode
+        ]
+      );
+      return { ok: true };
+    });
+
+    if (inserted.error) {
+      return reply.code(inserted.code || 400).send(inserted);
+    }
 
     try {
       await redis.setex(`session:${token}:meta`, 60 * 60 * 24, JSON.stringify({ token, studentId, startedAtIso }));
@@ -321,52 +681,58 @@ export default async function assessmentRoutes(fastify) {
       fastify.log.warn({ err }, "redis setex failed; continuing with postgres-backed session");
     }
 
+    await publishProctorEvent(assessment.id, "session_started", {
+      token,
+      studentId,
+      studentName: rosterFullName,
+      answered: 0,
+      total: snapshot.length,
+      startedAt: startedAtIso,
+      expiresAt: expiresAtIso
+    });
+
     return {
       token,
+      credential: fastify.signSessionCredential({ token, credential_version: 0 }, fingerprint),
       seed,
       startedAt: startedAtIso,
       expiresAt: expiresAtIso,
-      assessment: {
-        code: assessment.code,
-        title: assessment.title,
-        durationSeconds: assessment.duration_seconds,
-        drawCount: assessment.draw_count,
-        showPostReview: assessment.show_post_review,
-        fullscreenEnforcement: assessment.fullscreen_enforcement,
-        tabWarnThreshold: assessment.tab_warn_threshold,
-        tabAutosubmitThreshold: assessment.tab_autosubmit_threshold,
-        allowRetakes: assessment.allow_retakes,
-        integrityNotice: assessment.integrity_notice,
-        bankCode,
-        datasetAllocations: allocations,
-        assessmentDate: assessment.assessment_date
-      }
+      resumed: false,
+      extraTimePercent,
+      navigationMode,
+      assessment: { ...toAssessmentForClient(assessment), durationSeconds }
     };
   });
 
-  fastify.get("/session/:token/state", async (request, reply) => {
+  fastify.get("/session/:token/state", fastify.sessionRoute(), async (request, reply) => {
     const session = await getSessionOrReply(reply, request.params.token);
     if (!session) return;
 
     const remainingMs = getRemainingMs(session);
-    const answered = (session.answers || []).length;
+    const answered = countAnswered(session);
 
     return {
       token: session.token,
       status: session.status,
       remainingMs,
+      expiresAt: session.expires_at,
+      paused: session.status === "paused",
+      voidReason: session.status === "voided" ? session.void_reason : null,
       answered,
       total: (session.question_order || []).length,
-      currentIndex: answered
+      currentIndex: currentQuestionIndex(session),
+      navigationMode: session.navigation_mode,
+      ...(isFreeNavigation(session) ? { questions: navigationSummary(session) } : {})
     };
   });
 
-  fastify.get("/session/:token/question", async (request, reply) => {
+  fastify.get("/session/:token/question", fastify.sessionRoute(), async (request, reply) => {
     const session = await getSessionOrReply(reply, request.params.token);
     if (!session) return;
 
     if (session.status !== "active") {
-      return reply.code(409).send({ error: "session_not_active" });
+      const inactive = inactiveSessionError(session);
+      return reply.code(inactive.code).send(inactive);
     }
 
     if (getRemainingMs(session) <= 0) {
@@ -374,13 +740,14 @@ export default async function assessmentRoutes(fastify) {
       return reply.code(410).send({ error: "timer_expired", result });
     }
 
-    const index = (session.answers || []).length;
-    const questionPayload = toQuestionForClient(session, index);
-    if (!questionPayload) {
+    const index = currentQuestionIndex(session);
+    if (!session.questions_snapshot?.[index]) {
       const result = await withTx((client) => finalizeSession(client, session, false));
       return { status: "completed", result };
     }
 
+    const questionPayload = await serveQuestion(session, index, signedAssetUrls(request, session));
+
     return {
       status: "ok",
       remainingMs: getRemainingMs(session),
@@ -388,11 +755,91 @@ export default async function assessmentRoutes(fastify) {
     };
   });
 
-  fastify.post("/session/:token/answer", async (request, reply) => {
+  fastify.get("/session/:token/question/:index", fastify.sessionRoute(), async (request, reply) => {
+    const session = await getSessionOrReply(reply, request.params.token);
+    if (!session) return;
+
+    if (session.status !== "active") {
+      const inactive = inactiveSessionError(session);
+      return reply.code(inactive.code).send(inactive);
+    }
+
+    if (getRemainingMs(session) <= 0) {
+      const result = await withTx((client) => finalizeSession(client, session, true));
+      return reply.code(410).send({ error: "timer_expired", result });
+    }
+
+    const index = Number(request.params.index);
+    if (!Number.isInteger(index) || !session.questions_snapshot?.[index]) {
+      return reply.code(404).send({ error: "question_not_found" });
+    }
+    if (!isFreeNavigation(session) && index !== currentQuestionIndex(session)) {
+      return reply.code(409).send({ error: "navigation_locked" });
+    }
+
+    return {
+      status: "ok",
+      remainingMs: getRemainingMs(session),
+      ...(await serveQuestion(session, index, signedAssetUrls(request, session)))
+    };
+  });
+
+  // Images are only released to a running session, and in linear mode only for the question on screen.
+  fastify.get("/session/:token/assets/:assetId", fastify.sessionRoute({ assetToken: true }), async (request, reply) => {
+    const session = await getSessionOrReply(reply, request.params.token);
+    if (!session) return;
+    if (session.status !== "active" || getRemainingMs(session) <= 0) {
+      return reply.code(403).send({ error: "asset_requires_active_session" });
+    }
+
+    const snapshot = session.questions_snapshot || [];
+    const visible = isFreeNavigation(session) ? snapshot : [snapshot[currentQuestionIndex(session)]].filter(Boolean);
+    const assetId = sanitizeText(request.params.assetId).toLowerCase();
+    if (!visible.some((q) => q.imageAssetId === assetId)) {
+      return reply.code(404).send({ error: "asset_not_found" });
+    }
+
+    const stored = await readAsset(assetId);
+    if (!stored) return reply.code(404).send({ error: "asset_not_found" });
+    reply.header("Content-Type", stored.asset.content_type);
+    reply.header("Cache-Control", "private, no-store");
+    reply.header("X-Content-Type-Options", "nosniff");
+    return stored.data;
+  });
+
+  fastify.post("/session/:token/flag", fastify.sessionRoute(), async (request, reply) => {
+    const token = request.params.token;
+    const questionId = sanitizeText(request.body?.questionId);
+    if (!questionId) {
+      return reply.code(400).send({ error: "questionId_required" });
+    }
+
+    const result = await withTx(async (client) => {
+      const row = await client.query("SELECT * FROM sessions WHERE token = $1 FOR UPDATE", [token]);
+      const session = row.rows[0];
+      if (!session) return { error: "session_not_found", code: 404 };
+      if (session.status !== "active") return inactiveSessionError(session);
+      if (!isFreeNavigation(session)) return { error: "navigation_locked", code: 409 };
+      if (!(session.question_order || []).includes(questionId)) {
+        return { error: "question_not_in_session", code: 409 };
+      }
+
+      const flagged = (session.flagged_questions || []).filter((id) => id !== questionId);
+      if (request.body?.flagged !== false) flagged.push(questionId);
+      await client.query("UPDATE sessions SET flagged_questions = $2 WHERE token = $1", [token, JSON.stringify(flagged)]);
+      return { ok: true, questionId, flagged: flagged.includes(questionId), flaggedQuestions: flagged };
+    });
+
+    if (result.error) {
+      return reply.code(result.code || 400).send(result);
+    }
+    return result;
+  });
+
+  fastify.post("/session/:token/answer", fastify.sessionRoute(), async (request, reply) => {
     const token = request.params.token;
     const body = request.body || {};
     const questionId = sanitizeText(body.questionId);
-    const selectedOriginalId = body.selectedOriginalId == null ? null : sanitizeText(body.selectedOriginalId);
 
     if (!questionId) {
       return reply.code(400).send({ error: "questionId_required" });
@@ -402,11 +849,14 @@ export default async function assessmentRoutes(fastify) {
       const row = await client.query("SELECT * FROM sessions WHERE token = $1 FOR UPDATE", [token]);
       const session = row.rows[0];
       if (!session) return { error: "session_not_found", code: 404 };
-      if (session.status !== "active") return { error: "session_not_active", code: 409 };
+      if (session.status !== "active") return inactiveSessionError(session);
       if (getRemainingMs(session) <= 0) {
         const finalized = await finalizeSession(client, session, true);
         return { error: "timer_expired", code: 410, result: finalized };
       }
+      if (isFreeNavigation(session)) {
+        return saveFreeNavigationAnswer(client, session, questionId, body);
+      }
 
       const currentIndex = (session.answers || []).length;
       const expectedQuestion = session.questions_snapshot?.[currentIndex];
@@ -418,17 +868,50 @@ export default async function assessmentRoutes(fastify) {
         return { error: "invalid_question_sequence", code: 409 };
       }
 
-      if (selectedOriginalId) {
-        const validOption = (expectedQuestion.distractors || []).some((d) => d.originalId === selectedOriginalId);
-        if (!validOption) {
-          return { error: "invalid_option_for_question", code: 400 };
+      const parsed = parseAnswerPayload(expectedQuestion, body);
+      if (parsed.error) {
+        return { error: parsed.error, code: 400 };
+      }
+
+      const answeredAtIso = new Date().toISOString();
+      const limitMs = getQuestionLimitMs(session, expectedQuestion);
+      const elapsedMs = session.question_served_at
+        ? Math.max(0, new Date(answeredAtIso).getTime() - new Date(session.question_served_at).getTime())
+        : null;
+      const late = limitMs != null && elapsedMs != null && elapsedMs > limitMs + QUESTION_TIME_GRACE_MS;
+      let answer = parsed.answer;
+      if (late && isAnswered(answer)) {
+        const policyRes = await client.query("SELECT late_answer_policy FROM assessments WHERE id = $1", [session.assessment_id]);
+        if (policyRes.rows[0]?.late_answer_policy === "reject") {
+          return { error: "question_time_expired", code: 409, elapsedMs, timeLimitMs: limitMs };
         }
+        answer = parseAnswerPayload(expectedQuestion, {}).answer;
       }
 
-      const newAnswers = (session.answers || []).concat([{ questionId, selectedOriginalId }]);
-      await client.query("UPDATE sessions SET answers = $2 WHERE token = $1", [token, JSON.stringify(newAnswers)]);
+      const newAnswers = (session.answers || []).concat([{
+        ...answer,
+        servedAt: session.question_served_at,
+        answeredAt: answeredAtIso,
+        elapsedMs,
+        lateAnswer: late
+      }]);
+      const hasNext = newAnswers.length < (session.questions_snapshot || []).length;
+      const servedAtIso = hasNext ? answeredAtIso : null;
+      await client.query(
+        "UPDATE sessions SET answers = $2, question_served_at = $3 WHERE token = $1",
+        [token, JSON.stringify(newAnswers), servedAtIso]
+      );
+      await publishProctorEvent(session.assessment_id, "progress", {
+        token,
+        answered: newAnswers.length,
+        total: session.question_order.length
+      });
 
-      const nextQuestion = toQuestionForClient({ ...session, answers: newAnswers }, newAnswers.length);
+      const nextQuestion = toQuestionForClient(
+        { ...session, answers: newAnswers, question_served_at: servedAtIso },
+        newAnswers.length,
+        signedAssetUrls(request, session)
+      );
       if (!nextQuestion) {
         const finalized = await finalizeSession(client, { ...session, answers: newAnswers }, false);
         return { done: true, result: finalized };
@@ -436,6 +919,7 @@ export default async function assessmentRoutes(fastify) {
 
       return {
         done: false,
+        lateAnswer: late,
         remainingMs: getRemainingMs(session),
         next: nextQuestion
       };
@@ -447,7 +931,7 @@ export default async function assessmentRoutes(fastify) {
     return result;
   });
 
-  fastify.post("/session/:token/event", async (request, reply) => {
+  fastify.post("/session/:token/event", fastify.sessionRoute(), async (request, reply) => {
     const token = request.params.token;
     const body = request.body || {};
     const eventType = sanitizeText(body.eventType);
@@ -458,14 +942,64 @@ export default async function assessmentRoutes(fastify) {
       return reply.code(400).send({ error: "eventType_required" });
     }
 
-    const session = await getSessionOrReply(reply, token);
-    if (!session) return;
+    // Past the limit events are dropped rather than stored, so a scripted client cannot flood the table or stream.
+    const rate = await consumeRate(`event:${String(token).slice(0, 64)}`, config.eventRateLimit, EVENT_RATE_WINDOW_SECONDS);
+    if (!rate.allowed) {
+      reply.header("Retry-After", String(rate.retryAfterSeconds));
+      return reply.code(429).send({ error: "too_many_events", retryAfterSeconds: rate.retryAfterSeconds });
+    }
 
-    await query(
-      `INSERT INTO violation_events (session_token, event_type, details, question_index)
-       VALUES ($1, $2, $3, $4)`,
-      [token, eventType, details, questionIndex]
-    );
+    const result = await withTx(async (client) => {
+      const row = await client.query("SELECT * FROM sessions WHERE token = $1 FOR UPDATE", [token]);
+      const session = row.rows[0];
+      if (!session) return { error: "session_not_found", code: 404 };
+      // Paused sessions still log events (the candidate may leave the window); finished ones take no more.
+      if (!["active", "paused"].includes(session.status)) return { error: "session_not_active", code: 409 };
+
+      await client.query(
+        `INSERT INTO violation_events (session_token, event_type, details, question_index)
+         VALUES ($1, $2, $3, $4)`,
+        [token, eventType, details, questionIndex]
+      );
+      await publishProctorEvent(session.assessment_id, "violation", {
+        token,
+        eventType,
+        details,
+        questionIndex
+      });
+
+      if (session.status !== "active") {
+        return { ok: true, escalation: { level: "none", count: 0 } };
+      }
+
+      const assessmentRes = await client.query(
+        `SELECT tab_warn_threshold, tab_autosubmit_threshold, escalation_event_types
+         FROM assessments WHERE id = $1`,
+        [session.assessment_id]
+      );
+      const policy = assessmentRes.rows[0] || {};
+      const countedTypes = parseEscalationEventTypes(policy.escalation_event_types);
+      if (!countedTypes.includes(eventType.toLowerCase())) {
+        return { ok: true, escalation: { level: "none", count: 0 } };
+      }
+
+      const countRes = await client.query(
+        `SELECT COUNT(*)::int AS count
+         FROM violation_events
+         WHERE session_token = $1 AND LOWER(event_type) = ANY($2::text[])`,
+        [token, countedTypes]
+      );
+      const escalation = evaluateEscalation(policy, countRes.rows[0]?.count || 0);
+      if (escalation.level === "auto_submitted") {
+        const finalized = await finalizeSession(client, session, true);
+        return { ok: true, escalation, result: finalized };
+      }
+      return { ok: true, escalation };
+    });
+
+    if (result.error) {
+      return reply.code(result.code || 400).send(result);
+    }
 
     try {
       await redis.incr(`session:${token}:violations`);
@@ -474,10 +1008,10 @@ export default async function assessmentRoutes(fastify) {
       fastify.log.warn({ err }, "redis violation counter update failed; continuing");
     }
 
-    return { ok: true };
+    return result;
   });
 
-  fastify.post("/session/:token/submit", async (request, reply) => {
+  fastify.post("/session/:token/submit", fastify.sessionRoute(), async (request, reply) => {
     const token = request.params.token;
     const autoSubmitted = !!request.body?.autoSubmitted;
 
@@ -486,6 +1020,10 @@ export default async function assessmentRoutes(fastify) {
     if (!session) {
       return reply.code(404).send({ error: "session_not_found" });
     }
+    if (["paused", "voided"].includes(session.status)) {
+      const inactive = inactiveSessionError(session);
+      return reply.code(inactive.code).send(inactive);
+    }
 
     const result = await withTx((client) => finalizeSession(client, session, autoSubmitted));
     return { status: "submitted", result };
@@ -0,0 +1,94 @@
+import { query } from "../db.js";
+import { csvEscape, sanitizeText } from "../utils.js";
+
+const AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 500;
+const MAX_AUDIT_EXPORT_ROWS = 50000;
+
+function parseTimestamp(value) {
+  if (!value) return { value: null };
+  const date = new Date(String(value));
+  return Number.isNaN(date.getTime()) ? { error: true } : { value: date.toISOString() };
+}
+
+// `action` matches exactly, or as a prefix when it ends in "." (e.g. "assessment." for every assessment change).
+function auditFilterClause(filters) {
+  const params = [];
+  const where = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace("?", `$${params.length}`));
+  };
+  if (filters.actor) add("LOWER(actor) = LOWER(?)", filters.actor);
+  if (filters.action.endsWith(".")) add("action LIKE ?", `${filters.action.replace(/[\\%_]/g, "\\$&")}%`);
+  else if (filters.action) add("action = ?", filters.action);
+  if (filters.targetType) add("target_type = ?", filters.targetType);
+  if (filters.targetId) add("target_id = ?", filters.targetId);
+  if (filters.from) add("created_at >= ?", filters.from);
+  if (filters.to) add("created_at < ?", filters.to);
+  return { sql: where.length ? `WHERE ${where.join(" AND ")}` : "", params };
+}
+
+function auditCsv(rows) {
+  const lines = ["id,createdAt,actor,action,targetType,targetId,before,after,details,ip,userAgent"];
+  rows.forEach((r) => {
+    lines.push([
+      r.id,
+      csvEscape(new Date(r.created_at).toISOString()),
+      csvEscape(r.actor),
+      csvEscape(r.action),
+      csvEscape(r.target_type),
+      csvEscape(r.target_id),
+      csvEscape(r.before ? JSON.stringify(r.before) : ""),
+      csvEscape(r.after ? JSON.stringify(r.after) : ""),
+      csvEscape(r.details ? JSON.stringify(r.details) : ""),
+      csvEscape(r.ip),
+      csvEscape(r.user_agent)
+    ].join(","));
+  });
+  return lines.join("\n");
+}
+
+export default async function auditRoutes(fastify) {
+  // Query: actor, action, targetType, targetId, from, to (ISO timestamps, `to` exclusive), page, pageSize.
+  // format=csv exports every matching entry (newest first, up to MAX_AUDIT_EXPORT_ROWS) instead of one page.
+  fastify.get("/admin/audit", fastify.adminRoute("audit:read"), async (request, reply) => {
+    const params = request.query || {};
+    const from = parseTimestamp(params.from);
+    const to = parseTimestamp(params.to);
+    if (from.error || to.error) return reply.code(400).send({ error: "invalid_timestamp" });
+    const filters = {
+      actor: sanitizeText(params.actor || ""),
+      action: sanitizeText(params.action || ""),
+      targetType: sanitizeText(params.targetType || ""),
+      targetId: sanitizeText(params.targetId || ""),
+      from: from.value,
+      to: to.value
+    };
+    const { sql, params: values } = auditFilterClause(filters);
+
+    if (params.format === "csv") {
+      const out = await query(
+        `SELECT * FROM admin_audit_log ${sql} ORDER BY created_at DESC, id DESC LIMIT ${MAX_AUDIT_EXPORT_ROWS}`,
+        values
+      );
+      reply.header("Content-Type", "text/csv");
+      reply.header("Content-Disposition", 'attachment; filename="admin-audit.csv"');
+      return auditCsv(out.rows);
+    }
+
+    const page = Math.max(1, Math.floor(Number(params.page)) || 1);
+    const pageSize = Math.min(MAX_AUDIT_PAGE_SIZE, Math.max(1, Math.floor(Number(params.pageSize)) || AUDIT_PAGE_SIZE));
+    const [countRes, out] = await Promise.all([
+      query(`SELECT COUNT(*)::int AS total FROM admin_audit_log ${sql}`, values),
+      query(
+        `SELECT * FROM admin_audit_log ${sql}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}`,
+        values
+      )
+    ]);
+    const total = countRes.rows[0].total;
+    return { page, pageSize, total, totalPages: Math.ceil(total / pageSize), entries: out.rows };
+  });
+}
@@ -0,0 +1,71 @@
+import { canAccessBank } from "../adminUsers.js";
+import { describeActor, recordAudit } from "../audit.js";
+import { BANK_FORMATS, parseBankFile, serializeBank } from "../bankFormats.js";
+import { query } from "../db.js";
+import { importQuestions, loadBankQuestions, normalizeBankCode } from "../questionBank.js";
+import { sanitizeText } from "../utils.js";
+
+// QTI packages arrive base64-encoded inside JSON, so allow more than Fastify's 1 MiB default.
+const IMPORT_BODY_LIMIT = 10 * 1024 * 1024;
+
+function parseFormat(value) {
+  const format = sanitizeText(value || "").toLowerCase();
+  return BANK_FORMATS.includes(format) ? format : null;
+}
+
+export default async function bankTransferRoutes(fastify) {
+  // Body: { content, mode?, dryRun?, strict? }. `content` is the file text, or a base64 ZIP for QTI packages.
+  fastify.post(
+    "/admin/banks/:code/import/:format",
+    fastify.adminRoute("banks:write", { bodyLimit: IMPORT_BODY_LIMIT }),
+    async (request, reply) => {
+      const format = parseFormat(request.params.format);
+      if (!format) return reply.code(400).send({ error: "unsupported_bank_format" });
+      const bankCode = normalizeBankCode(request.params.code || "default");
+      if (!canAccessBank(request.admin, bankCode)) return reply.code(403).send({ error: "bank_out_of_scope" });
+      const body = request.body || {};
+      if (typeof body.content !== "string" || !body.content.trim()) {
+        return reply.code(400).send({ error: "content_required" });
+      }
+
+      const parsed = parseBankFile(format, body.content);
+      if (parsed.error) return reply.code(400).send({ error: parsed.error });
+      if (!parsed.questions.length) return reply.code(400).send({ error: "no_questions_found" });
+
+      const result = await importQuestions(parsed.questions, {
+        bankCode,
+        mode: body.mode || request.query?.mode,
+        dryRun: body.dryRun === true || request.query?.dryRun === "true",
+        strict: !!body.strict,
+        author: describeActor(request),
+        audit: (run, details) => recordAudit(run, request, {
+          action: "bank.import",
+          targetType: "bank",
+          targetId: bankCode,
+          details: { format, ...details }
+        })
+      });
+      if (result.error) {
+        const { code, ...failure } = result;
+        return reply.code(code).send({ ...failure, format });
+      }
+      return { ...result, format };
+    }
+  );
+
+  fastify.get("/admin/banks/:code/export/:format", fastify.adminRoute("banks:read"), async (request, reply) => {
+    const format = parseFormat(request.params.format);
+    if (!format) return reply.code(400).send({ error: "unsupported_bank_format" });
+    const bankCode = normalizeBankCode(request.params.code || "default");
+    if (!canAccessBank(request.admin, bankCode)) return reply.code(403).send({ error: "bank_out_of_scope" });
+    const bank = await query("SELECT code FROM question_banks WHERE code = $1", [bankCode]);
+    if (!bank.rows[0]) return reply.code(404).send({ error: "bank_not_found" });
+
+    const { questions } = await loadBankQuestions(bankCode);
+    const file = serializeBank(format, questions, { bankCode, plain: request.query?.plain === "true" });
+    reply.header("Content-Type", file.contentType);
+    reply.header("Content-Disposition", `attachment; filename="${bankCode}.${file.extension}"`);
+    reply.header("X-Skipped-Questions", String(file.skipped));
+    return file.body;
+  });
+}
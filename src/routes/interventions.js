@@ -0,0 +1,205 @@
+import { canAccessAssessment } from "../adminUsers.js";
+import { describeActor, recordAudit } from "../audit.js";
+import { query, withTx } from "../db.js";
+import { publishProctorEvent } from "../proctoring.js";
+import { finalizeSession, getRemainingMs } from "../sessions.js";
+import { isUuid, sanitizeText } from "../utils.js";
+
+const MAX_EXTENSION_SECONDS = 24 * 60 * 60;
+const RESUME_APPROVAL_SECONDS = 10 * 60;
+
+// Stores the intervention and its audit record on `client`; the proctor event is queued on `events` and only
+// published once the transaction has committed (see withLockedSession).
+async function recordIntervention(client, events, request, session, action, reason, details = {}) {
+  await client.query(
+    `INSERT INTO session_interventions (session_token, action, reason, details, actor)
+     VALUES ($1,$2,$3,$4,$5)`,
+    [session.token, action, reason, JSON.stringify(details), describeActor(request)]
+  );
+  await recordAudit(client.query.bind(client), request, {
+    action: `session.${action}`,
+    targetType: "session",
+    targetId: session.token,
+    details: { reason, ...details }
+  });
+  events.push({ assessmentId: session.assessment_id, payload: { token: session.token, action, reason, ...details } });
+}
+
+// Locks the session and runs fn(client, session, events); fn returns either a response body or { error, code }.
+// Intervention events queued by fn reach the proctoring stream only after the transaction commits.
+async function withLockedSession(token, admin, fn) {
+  if (!isUuid(token)) return { error: "session_not_found", code: 404 };
+  const events = [];
+  const result = await withTx(async (client) => {
+    const row = await client.query("SELECT * FROM sessions WHERE token = $1 FOR UPDATE", [token]);
+    const session = row.rows[0];
+    if (!session) return { error: "session_not_found", code: 404 };
+    const assessment = await client.query("SELECT code FROM assessments WHERE id = $1", [session.assessment_id]);
+    if (!canAccessAssessment(admin, assessment.rows[0]?.code)) return { error: "assessment_out_of_scope", code: 403 };
+    return fn(client, session, events);
+  });
+  for (const event of events) {
+    await publishProctorEvent(event.assessmentId, "intervention", event.payload);
+  }
+  return result;
+}
+
+function sendResult(reply, result) {
+  if (result.error) {
+    return reply.code(result.code || 400).send(result);
+  }
+  return result;
+}
+
+function toSessionState(session) {
+  return {
+    token: session.token,
+    status: session.status,
+    expiresAt: session.expires_at,
+    pausedAt: session.paused_at,
+    remainingMs: getRemainingMs(session)
+  };
+}
+
+export default async function interventionRoutes(fastify) {
+  fastify.get("/admin/sessions/:token/interventions", fastify.adminRoute("sessions:monitor"), async (request, reply) => {
+    const token = sanitizeText(request.params.token);
+    if (!isUuid(token)) return reply.code(404).send({ error: "session_not_found" });
+    const sessionRes = await query(
+      `SELECT a.code
+       FROM sessions s
+       JOIN assessments a ON a.id = s.assessment_id
+       WHERE s.token = $1`,
+      [token]
+    );
+    if (sessionRes.rows[0] && !canAccessAssessment(request.admin, sessionRes.rows[0].code)) {
+      return reply.code(403).send({ error: "assessment_out_of_scope" });
+    }
+
+    const out = await query(
+      `SELECT id, action, reason, details, actor, created_at
+       FROM session_interventions
+       WHERE session_token = $1
+       ORDER BY created_at`,
+      [token]
+    );
+    return out.rows;
+  });
+
+  fastify.post("/admin/sessions/:token/extend", fastify.adminRoute("sessions:intervene"), async (request, reply) => {
+    const body = request.body || {};
+    const seconds = Math.round(Number(body.seconds ?? Number(body.minutes || 0) * 60));
+    const reason = sanitizeText(body.reason || "");
+    if (!Number.isFinite(seconds) || seconds < 1 || seconds > MAX_EXTENSION_SECONDS) {
+      return reply.code(400).send({ error: "invalid_extension_seconds" });
+    }
+
+    const result = await withLockedSession(sanitizeText(request.params.token), request.admin, async (client, session, events) => {
+      if (!["active", "paused"].includes(session.status)) return { error: "session_not_active", code: 409 };
+      const out = await client.query(
+        `UPDATE sessions
+         SET expires_at = expires_at + make_interval(secs => $2)
+         WHERE token = $1
+         RETURNING *`,
+        [session.token, seconds]
+      );
+      const updated = out.rows[0];
+      await recordIntervention(client, events, request, session, "extend_time", reason, {
+        seconds,
+        expiresAt: updated.expires_at
+      });
+      return { ok: true, session: toSessionState(updated) };
+    });
+    return sendResult(reply, result);
+  });
+
+  fastify.post("/admin/sessions/:token/pause", fastify.adminRoute("sessions:intervene"), async (request, reply) => {
+    const reason = sanitizeText(request.body?.reason || "");
+    const result = await withLockedSession(sanitizeText(request.params.token), request.admin, async (client, session, events) => {
+      if (session.status !== "active") return { error: "session_not_active", code: 409 };
+      if (getRemainingMs(session) <= 0) return { error: "timer_expired", code: 410 };
+      const out = await client.query(
+        "UPDATE sessions SET status = 'paused', paused_at = NOW() WHERE token = $1 RETURNING *",
+        [session.token]
+      );
+      const updated = out.rows[0];
+      await recordIntervention(client, events, request, session, "pause", reason, { remainingMs: getRemainingMs(updated) });
+      return { ok: true, session: toSessionState(updated) };
+    });
+    return sendResult(reply, result);
+  });
+
+  fastify.post("/admin/sessions/:token/resume", fastify.adminRoute("sessions:intervene"), async (request, reply) => {
+    const reason = sanitizeText(request.body?.reason || "");
+    const result = await withLockedSession(sanitizeText(request.params.token), request.admin, async (client, session, events) => {
+      if (session.status !== "paused") return { error: "session_not_paused", code: 409 };
+      // Push the deadline (and the current question's clock) out by however long the clock was stopped.
+      const out = await client.query(
+        `UPDATE sessions
+         SET status = 'active',
+             expires_at = expires_at + (NOW() - paused_at),
+             question_served_at = question_served_at + (NOW() - paused_at),
+             paused_at = NULL
+         WHERE token = $1
+         RETURNING *`,
+        [session.token]
+      );
+      const updated = out.rows[0];
+      await recordIntervention(client, events, request, session, "resume", reason, { expiresAt: updated.expires_at });
+      return { ok: true, session: toSessionState(updated) };
+    });
+    return sendResult(reply, result);
+  });
+
+  // Lets the candidate's next resume through without another second factor, once, within RESUME_APPROVAL_SECONDS.
+  fastify.post("/admin/sessions/:token/approve-resume", fastify.adminRoute("sessions:intervene"), async (request, reply) => {
+    const reason = sanitizeText(request.body?.reason || "");
+    const result = await withLockedSession(sanitizeText(request.params.token), request.admin, async (client, session, events) => {
+      if (!["active", "paused"].includes(session.status)) return { error: "session_not_active", code: 409 };
+      const out = await client.query(
+        `UPDATE sessions SET resume_approved_until = NOW() + make_interval(secs => $2)
+         WHERE token = $1
+         RETURNING *`,
+        [session.token, RESUME_APPROVAL_SECONDS]
+      );
+      const updated = out.rows[0];
+      await recordIntervention(client, events, request, session, "approve_resume", reason, {
+        approvedUntil: updated.resume_approved_until
+      });
+      return { ok: true, session: toSessionState(updated), resumeApprovedUntil: updated.resume_approved_until };
+    });
+    return sendResult(reply, result);
+  });
+
+  fastify.post("/admin/sessions/:token/force-submit", fastify.adminRoute("sessions:intervene"), async (request, reply) => {
+    const reason = sanitizeText(request.body?.reason || "");
+    const result = await withLockedSession(sanitizeText(request.params.token), request.admin, async (client, session, events) => {
+      if (!["active", "paused"].includes(session.status)) return { error: "session_not_active", code: 409 };
+      const finalized = await finalizeSession(client, session, true);
+      await recordIntervention(client, events, request, session, "force_submit", reason);
+      return { ok: true, result: finalized };
+    });
+    return sendResult(reply, result);
+  });
+
+  fastify.post("/admin/sessions/:token/void", fastify.adminRoute("sessions:intervene"), async (request, reply) => {
+    const reason = sanitizeText(request.body?.reason || "");
+    if (!reason) {
+      return reply.code(400).send({ error: "void_reason_required" });
+    }
+    const result = await withLockedSession(sanitizeText(request.params.token), request.admin, async (client, session, events) => {
+      if (session.status === "voided") return { error: "session_already_voided", code: 409 };
+      const out = await client.query(
+        "UPDATE sessions SET status = 'voided', void_reason = $2, paused_at = NULL WHERE token = $1 RETURNING *",
+        [session.token, reason]
+      );
+      await client.query(
+        "UPDATE submissions SET voided_at = NOW(), void_reason = $2 WHERE session_token = $1",
+        [session.token, reason]
+      );
+      await recordIntervention(client, events, request, session, "void", reason, { previousStatus: session.status });
+      return { ok: true, session: toSessionState(out.rows[0]) };
+    });
+    return sendResult(reply, result);
+  });
+}
@@ -0,0 +1,40 @@
+import { canAccessAssessment, hasPermission, scopeCodes } from "../adminUsers.js";
+import { recordAudit } from "../audit.js";
+import { query } from "../db.js";
+import { listLockouts, releaseLockout } from "../rateLimit.js";
+import { sanitizeText } from "../utils.js";
+
+// Admin sign-in lockouts are for account managers; a candidate's lockout follows the assessment scope, and
+// per-IP passcode lockouts span assessments, so only admins without assessment scopes see those.
+function canSeeLockout(admin, record) {
+  if (record.scope === "admin_login") return hasPermission(admin, "users:manage");
+  if (record.key.startsWith("student:")) return canAccessAssessment(admin, record.assessmentCode);
+  return scopeCodes(admin, "assessment") === null;
+}
+
+export default async function lockoutRoutes(fastify) {
+  fastify.get("/admin/lockouts", fastify.adminRoute("sessions:monitor"), async (request) => {
+    const lockouts = await listLockouts();
+    return lockouts.filter((record) => canSeeLockout(request.admin, record));
+  });
+
+  // Query: scope, key (as listed by GET /admin/lockouts).
+  fastify.delete("/admin/lockouts", fastify.adminRoute("sessions:intervene"), async (request, reply) => {
+    const scope = sanitizeText(request.query?.scope || "");
+    const key = sanitizeText(request.query?.key || "");
+    const record = (await listLockouts()).find((l) => l.scope === scope && l.key === key);
+    if (!record) return reply.code(404).send({ error: "lockout_not_found" });
+    if (!canSeeLockout(request.admin, record)) return reply.code(403).send({ error: "forbidden" });
+
+    // The lock lives in Redis, outside any database transaction: the audit record is written first, so a
+    // failure leaves the lock in place rather than lifting it unrecorded.
+    await recordAudit(query, request, {
+      action: "security.unlock",
+      targetType: scope === "admin_login" ? "admin_user" : "assessment",
+      targetId: record.username || record.assessmentCode || "",
+      details: { scope, key }
+    });
+    await releaseLockout(scope, key);
+    return { ok: true, scope, key };
+  });
+}
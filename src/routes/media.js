@@ -0,0 +1,107 @@
+import { canAccessBank, scopeCodes } from "../adminUsers.js";
+import { describeActor, recordAudit } from "../audit.js";
+import { config } from "../config.js";
+import { query } from "../db.js";
+import { readAsset, removeAsset, saveAsset } from "../media.js";
+import { normalizeBankCode } from "../questionBank.js";
+import { sanitizeText } from "../utils.js";
+
+// Uploads arrive base64-encoded in JSON: allow for the 4/3 expansion plus the surrounding fields.
+const UPLOAD_BODY_LIMIT = Math.ceil((config.mediaMaxBytes * 4) / 3) + 64 * 1024;
+
+export default async function mediaRoutes(fastify) {
+  // Body: { filename, data: <base64>, bankCode? }. Unscoped (shared) assets can only be uploaded by owners.
+  fastify.post("/admin/assets", fastify.adminRoute("banks:write", { bodyLimit: UPLOAD_BODY_LIMIT }), async (request, reply) => {
+    const body = request.body || {};
+    if (typeof body.data !== "string" || !body.data) {
+      return reply.code(400).send({ error: "asset_data_required" });
+    }
+    const bankCode = body.bankCode ? normalizeBankCode(body.bankCode) : null;
+    if (bankCode ? !canAccessBank(request.admin, bankCode) : scopeCodes(request.admin, "bank") !== null) {
+      return reply.code(403).send({ error: "bank_out_of_scope" });
+    }
+
+    const saved = await saveAsset({
+      data: Buffer.from(body.data.replace(/^data:[^,]*,/, ""), "base64"),
+      filename: body.filename,
+      bankCode,
+      author: describeActor(request),
+      audit: (run, asset) => recordAudit(run, request, {
+        action: "asset.upload",
+        targetType: "asset",
+        targetId: asset.id,
+        after: { filename: asset.filename, bank_code: bankCode, content_type: asset.content_type, size_bytes: asset.size_bytes }
+      })
+    });
+    if (saved.error) {
+      const { code, ...failure } = saved;
+      return reply.code(code).send(failure);
+    }
+
+    return {
+      ok: true,
+      id: saved.id,
+      filename: saved.filename,
+      contentType: saved.content_type,
+      sizeBytes: saved.size_bytes
+    };
+  });
+
+  // Scoped admins see shared assets plus those of their banks.
+  fastify.get("/admin/assets", fastify.adminRoute("banks:read"), async (request) => {
+    const bankCode = request.query?.bankCode ? normalizeBankCode(request.query.bankCode) : "";
+    const limit = Math.min(500, Math.max(1, Number(request.query?.limit || 100)));
+    const out = await query(
+      `SELECT a.id, a.bank_code, a.filename, a.content_type, a.size_bytes, a.uploaded_by, a.created_at,
+              (SELECT COUNT(*)::int FROM bank_questions q WHERE q.image_asset_id = a.id) AS used_by
+       FROM media_assets a
+       WHERE ($1 = '' OR a.bank_code = $1)
+         AND ($3::text[] IS NULL OR a.bank_code IS NULL OR a.bank_code = ANY($3))
+       ORDER BY a.created_at DESC
+       LIMIT $2`,
+      [bankCode, limit, scopeCodes(request.admin, "bank")]
+    );
+    return out.rows;
+  });
+
+  // Stream auth so the admin UI can preview with a plain <img src="...?access_token=<stream token>">.
+  fastify.get("/admin/assets/:id", fastify.adminRoute("banks:read", { stream: true }), async (request, reply) => {
+    const stored = await readAsset(sanitizeText(request.params.id).toLowerCase());
+    if (!stored) return reply.code(404).send({ error: "asset_not_found" });
+    if (stored.asset.bank_code && !canAccessBank(request.admin, stored.asset.bank_code)) {
+      return reply.code(403).send({ error: "bank_out_of_scope" });
+    }
+    reply.header("Content-Type", stored.asset.content_type);
+    reply.header("Cache-Control", "private, no-store");
+    reply.header("X-Content-Type-Options", "nosniff");
+    return stored.data;
+  });
+
+  fastify.delete("/admin/assets/:id", fastify.adminRoute("banks:write"), async (request, reply) => {
+    const id = sanitizeText(request.params.id).toLowerCase();
+    const out = await query("SELECT * FROM media_assets WHERE id = $1", [id]);
+    const asset = out.rows[0];
+    if (!asset) return reply.code(404).send({ error: "asset_not_found" });
+    if (asset.bank_code ? !canAccessBank(request.admin, asset.bank_code) : scopeCodes(request.admin, "bank") !== null) {
+      return reply.code(403).send({ error: "bank_out_of_scope" });
+    }
+
+    const usedBy = await query(
+      "SELECT bank_code, id FROM bank_questions WHERE image_asset_id = $1 ORDER BY bank_code, id",
+      [id]
+    );
+    if (usedBy.rows.length) {
+      return reply.code(409).send({ error: "asset_in_use", questions: usedBy.rows });
+    }
+
+    await removeAsset(asset, {
+      audit: (run) => recordAudit(run, request, {
+        action: "asset.delete",
+        targetType: "asset",
+        targetId: id,
+        before: { filename: asset.filename, bank_code: asset.bank_code, size_bytes: asset.size_bytes }
+      })
+    });
+    return { ok: true, id };
+  });
+}
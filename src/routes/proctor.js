@@ -0,0 +1,83 @@
+import { canAccessAssessment } from "../adminUsers.js";
+import { query } from "../db.js";
+import { loadLiveSessions, subscribeProctorEvents } from "../proctoring.js";
+import { sanitizeText } from "../utils.js";
+
+const HEARTBEAT_MS = 15000;
+
+async function findAssessmentByCode(codeValue) {
+  const code = sanitizeText(codeValue || "").toUpperCase();
+  if (!code) return null;
+  const out = await query(
+    `SELECT id, code, title, tab_warn_threshold, tab_autosubmit_threshold
+     FROM assessments WHERE code = $1`,
+    [code]
+  );
+  return out.rows[0] || null;
+}
+
+function toAssessmentSummary(assessment) {
+  return {
+    code: assessment.code,
+    title: assessment.title,
+    tabWarnThreshold: assessment.tab_warn_threshold,
+    tabAutosubmitThreshold: assessment.tab_autosubmit_threshold
+  };
+}
+
+function writeSse(raw, event, data) {
+  raw.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export default async function proctorRoutes(fastify) {
+  const openStreams = new Set();
+  fastify.addHook("onClose", async () => {
+    openStreams.forEach((raw) => raw.end());
+  });
+
+  fastify.get("/admin/proctor/:code/sessions", fastify.adminRoute("sessions:monitor"), async (request, reply) => {
+    const assessment = await findAssessmentByCode(request.params.code);
+    if (!assessment) return reply.code(404).send({ error: "test_not_found" });
+    if (!canAccessAssessment(request.admin, assessment.code)) {
+      return reply.code(403).send({ error: "assessment_out_of_scope" });
+    }
+    const sessions = await loadLiveSessions(assessment.id);
+    return { assessment: toAssessmentSummary(assessment), sessions };
+  });
+
+  // EventSource cannot send headers, so this route also accepts a stream token (POST /admin/stream-token)
+  // as ?access_token=.
+  fastify.get("/admin/proctor/:code/stream", fastify.adminRoute("sessions:monitor", { stream: true }), async (request, reply) => {
+    const assessment = await findAssessmentByCode(request.params.code);
+    if (!assessment) return reply.code(404).send({ error: "test_not_found" });
+    if (!canAccessAssessment(request.admin, assessment.code)) {
+      return reply.code(403).send({ error: "assessment_out_of_scope" });
+    }
+    const sessions = await loadLiveSessions(assessment.id);
+
+    reply.hijack();
+    const raw = reply.raw;
+    raw.writeHead(200, {
+      ...reply.getHeaders(),
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    openStreams.add(raw);
+    writeSse(raw, "snapshot", { assessment: toAssessmentSummary(assessment), sessions });
+
+    const unsubscribe = subscribeProctorEvents(assessment.id, (event) => {
+      writeSse(raw, event.type, event);
+    });
+    const heartbeat = setInterval(() => {
+      raw.write(`: heartbeat ${Date.now()}\n\n`);
+    }, HEARTBEAT_MS);
+
+    request.raw.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      openStreams.delete(raw);
+    });
+  });
+}
@@ -0,0 +1,187 @@
+import { canAccessBank } from "../adminUsers.js";
+import { describeActor, recordAudit } from "../audit.js";
+import { query, withTx } from "../db.js";
+import { normalizeBankCode, restoreRevision, toRevisionData } from "../questionBank.js";
+import { sanitizeText } from "../utils.js";
+
+const DIFF_FIELDS = [
+  "category", "difficulty", "stem", "explanation", "image", "imageAssetId", "type", "scoringRule",
+  "numericAnswer", "numericTolerance", "marks", "timeLimitSeconds", "tags"
+];
+
+// Field-level changes between two revisions; options are matched by option_key. A null `from` is the state
+// before the question existed, so diffing revision 1 lists everything it set.
+function diffRevisions(from, to) {
+  const before = from
+    ? toRevisionData(from.data)
+    : { ...Object.fromEntries(DIFF_FIELDS.map((f) => [f, null])), distractors: [] };
+  const after = toRevisionData(to.data);
+  const fields = DIFF_FIELDS
+    .filter((f) => JSON.stringify(before[f]) !== JSON.stringify(after[f]))
+    .map((f) => ({ field: f, from: before[f], to: after[f] }));
+
+  const beforeOptions = new Map(before.distractors.map((d) => [d.option_key, d]));
+  const afterOptions = new Map(after.distractors.map((d) => [d.option_key, d]));
+  const options = [];
+  beforeOptions.forEach((d, key) => {
+    const next = afterOptions.get(key);
+    if (!next) options.push({ optionKey: key, change: "removed", from: d, to: null });
+    else if (d.option_text !== next.option_text || d.is_correct !== next.is_correct) {
+      options.push({ optionKey: key, change: "modified", from: d, to: next });
+    }
+  });
+  afterOptions.forEach((d, key) => {
+    if (!beforeOptions.has(key)) options.push({ optionKey: key, change: "added", from: null, to: d });
+  });
+
+  return {
+    from: from ? { revision: from.revision, deleted: from.deleted } : null,
+    to: { revision: to.revision, deleted: to.deleted },
+    fields,
+    options
+  };
+}
+
+// Revision numbers from the query string: `fallback` when absent, null when not a non-negative integer.
+function parseRevisionNumber(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision >= 0 ? revision : null;
+}
+
+async function loadRevision(bankCode, questionId, revision) {
+  const out = await query(
+    `SELECT question_id, revision, data, deleted, change_type, author, created_at
+     FROM bank_question_revisions
+     WHERE bank_code = $1 AND question_id = $2 AND revision = $3`,
+    [bankCode, questionId, revision]
+  );
+  return out.rows[0] || null;
+}
+
+export default async function questionHistoryRoutes(fastify) {
+  fastify.get("/admin/questions/:id/history", fastify.adminRoute("banks:read"), async (request, reply) => {
+    const bankCode = normalizeBankCode(request.query?.bankCode || "default");
+    if (!canAccessBank(request.admin, bankCode)) return reply.code(403).send({ error: "bank_out_of_scope" });
+    const out = await query(
+      `SELECT revision, change_type, author, deleted, created_at, data
+       FROM bank_question_revisions
+       WHERE bank_code = $1 AND question_id = $2
+       ORDER BY revision DESC`,
+      [bankCode, sanitizeText(request.params.id)]
+    );
+    return { bankCode, questionId: sanitizeText(request.params.id), revisions: out.rows };
+  });
+
+  fastify.get("/admin/questions/:id/diff", fastify.adminRoute("banks:read"), async (request, reply) => {
+    const bankCode = normalizeBankCode(request.query?.bankCode || "default");
+    if (!canAccessBank(request.admin, bankCode)) return reply.code(403).send({ error: "bank_out_of_scope" });
+    const questionId = sanitizeText(request.params.id);
+    const latestRes = await query(
+      "SELECT MAX(revision)::int AS revision FROM bank_question_revisions WHERE bank_code = $1 AND question_id = $2",
+      [bankCode, questionId]
+    );
+    const latest = latestRes.rows[0]?.revision;
+    if (!latest) return reply.code(404).send({ error: "question_history_not_found" });
+
+    const toRevision = parseRevisionNumber(request.query?.to, latest);
+    const fromRevision = toRevision === null ? null : parseRevisionNumber(request.query?.from, toRevision - 1);
+    if (!toRevision || fromRevision === null) return reply.code(400).send({ error: "invalid_revision" });
+    const [from, to] = await Promise.all([
+      fromRevision === 0 ? null : loadRevision(bankCode, questionId, fromRevision),
+      loadRevision(bankCode, questionId, toRevision)
+    ]);
+    if ((fromRevision !== 0 && !from) || !to) return reply.code(404).send({ error: "revision_not_found" });
+
+    return { bankCode, questionId, ...diffRevisions(from, to) };
+  });
+
+  fastify.post("/admin/questions/:id/rollback", fastify.adminRoute("banks:write"), async (request, reply) => {
+    const bankCode = normalizeBankCode(request.body?.bankCode || request.query?.bankCode || "default");
+    if (!canAccessBank(request.admin, bankCode)) return reply.code(403).send({ error: "bank_out_of_scope" });
+    const questionId = sanitizeText(request.params.id);
+    const target = await loadRevision(bankCode, questionId, Number(request.body?.revision));
+    if (!target) return reply.code(404).send({ error: "revision_not_found" });
+
+    const restored = await withTx(async (client) => {
+      const result = await restoreRevision(client, bankCode, target, { author: describeActor(request), changeType: "rollback" });
+      await recordAudit(client.query.bind(client), request, {
+        action: "question.rollback",
+        targetType: "question",
+        targetId: `${bankCode}/${questionId}`,
+        details: { restoredFrom: target.revision, ...result }
+      });
+      return result;
+    });
+    return { ok: true, bankCode, questionId, restoredFrom: target.revision, ...restored };
+  });
+
+  fastify.get("/admin/banks/:code/history", fastify.adminRoute("banks:read"), async (request, reply) => {
+    const bankCode = normalizeBankCode(request.params.code);
+    if (!canAccessBank(request.admin, bankCode)) return reply.code(403).send({ error: "bank_out_of_scope" });
+    const limit = Math.min(500, Math.max(1, Number(request.query?.limit || 100)));
+    const out = await query(
+      `SELECT question_id, revision, change_type, author, deleted, created_at
+       FROM bank_question_revisions
+       WHERE bank_code = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [bankCode, limit]
+    );
+    return { bankCode, revisions: out.rows };
+  });
+
+  // Restores every question to its latest revision at `at`. Questions first created after `at` are deleted;
+  // questions with no recorded history are left alone.
+  fastify.post("/admin/banks/:code/rollback", fastify.adminRoute("banks:write"), async (request, reply) => {
+    const bankCode = normalizeBankCode(request.params.code);
+    if (!canAccessBank(request.admin, bankCode)) return reply.code(403).send({ error: "bank_out_of_scope" });
+    const at = new Date(request.body?.at || "");
+    if (Number.isNaN(at.getTime())) {
+      return reply.code(400).send({ error: "rollback_timestamp_required" });
+    }
+
+    const meta = { author: describeActor(request), changeType: "rollback" };
+    const summary = await withTx(async (client) => {
+      const snapshotRes = await client.query(
+        `SELECT DISTINCT ON (question_id) question_id, revision, data, deleted
+         FROM bank_question_revisions
+         WHERE bank_code = $1 AND created_at <= $2
+         ORDER BY question_id, revision DESC`,
+        [bankCode, at.toISOString()]
+      );
+      const laterRes = await client.query(
+        `SELECT q.id
+         FROM bank_questions q
+         WHERE q.bank_code = $1
+           AND EXISTS (SELECT 1 FROM bank_question_revisions r WHERE r.bank_code = q.bank_code AND r.question_id = q.id)
+           AND NOT EXISTS (
+             SELECT 1 FROM bank_question_revisions r
+             WHERE r.bank_code = q.bank_code AND r.question_id = q.id AND r.created_at <= $2
+           )`,
+        [bankCode, at.toISOString()]
+      );
+
+      let restored = 0;
+      let deleted = 0;
+      for (const row of snapshotRes.rows) {
+        const result = await restoreRevision(client, bankCode, row, meta);
+        if (result.changed) restored += 1;
+        if (result.deleted) deleted += 1;
+      }
+      for (const row of laterRes.rows) {
+        const result = await restoreRevision(client, bankCode, { question_id: row.id, deleted: true }, meta);
+        if (result.deleted) deleted += 1;
+      }
+      await recordAudit(client.query.bind(client), request, {
+        action: "bank.rollback",
+        targetType: "bank",
+        targetId: bankCode,
+        details: { at: at.toISOString(), restored, deleted }
+      });
+      return { restored, deleted };
+    });
+
+    return { ok: true, bankCode, at: at.toISOString(), ...summary };
+  });
+}
@@ -0,0 +1,93 @@
+import { canAccessAssessment, scopeCodes } from "../adminUsers.js";
+import { recordAudit } from "../audit.js";
+import { buildAssessmentStatistics, buildItemAnalysis, loadScoredAttempts, loadSessionCounts } from "../analytics.js";
+import { query } from "../db.js";
+import { loadIntegrityReport, runIntegrityAnalysis } from "../integrity.js";
+import { csvEscape, sanitizeText } from "../utils.js";
+
+function itemAnalysisCsv(items) {
+  const lines = ["bankCode,questionId,type,category,attempts,unanswered,pValue,discrimination,averageTimeMs,flags,distractors"];
+  items.forEach((item) => {
+    lines.push([
+      csvEscape(item.bankCode),
+      csvEscape(item.questionId),
+      item.type,
+      csvEscape(item.category),
+      item.attempts,
+      item.unanswered,
+      item.pValue ?? "",
+      item.discrimination ?? "",
+      item.averageTimeMs ?? "",
+      csvEscape(item.flags.join(" ")),
+      csvEscape(item.distractors.map((d) => `${d.originalId}${d.correct ? "*" : ""}=${d.count}`).join(" "))
+    ].join(","));
+  });
+  return lines.join("\n");
+}
+
+export default async function reportRoutes(fastify) {
+  // Without `code` this covers every assessment, so admins scoped to particular assessments must name one.
+  fastify.get("/admin/reports/item-analysis", fastify.adminRoute("results:read"), async (request, reply) => {
+    const code = sanitizeText(request.query?.code || "").toUpperCase();
+    if (!code && scopeCodes(request.admin, "assessment") !== null) {
+      return reply.code(400).send({ error: "test_code_required" });
+    }
+    if (code && !canAccessAssessment(request.admin, code)) {
+      return reply.code(403).send({ error: "assessment_out_of_scope" });
+    }
+    const bankCode = sanitizeText(request.query?.bankCode || "").toLowerCase().replace(/[^a-z0-9_-]/g, "");
+    const attempts = await loadScoredAttempts(code);
+    const items = buildItemAnalysis(attempts, { bankCode });
+
+    if (request.query?.format === "csv") {
+      reply.header("Content-Type", "text/csv");
+      return itemAnalysisCsv(items);
+    }
+
+    return {
+      code: code || null,
+      bankCode: bankCode || null,
+      submissions: attempts.length,
+      items
+    };
+  });
+
+  fastify.get("/admin/reports/assessments/:code/statistics", fastify.adminRoute("results:read"), async (request, reply) => {
+    const code = sanitizeText(request.params.code || "").toUpperCase();
+    if (!canAccessAssessment(request.admin, code)) return reply.code(403).send({ error: "assessment_out_of_scope" });
+    const assessmentRes = await query(
+      "SELECT code, title, pass_mark_percent FROM assessments WHERE code = $1",
+      [code]
+    );
+    const assessment = assessmentRes.rows[0];
+    if (!assessment) return reply.code(404).send({ error: "test_not_found" });
+
+    const [attempts, sessionCounts] = await Promise.all([loadScoredAttempts(code), loadSessionCounts(code)]);
+    return {
+      code: assessment.code,
+      title: assessment.title,
+      passMarkPercent: assessment.pass_mark_percent ?? null,
+      ...buildAssessmentStatistics(attempts, sessionCounts)
+    };
+  });
+
+  fastify.post("/admin/reports/assessments/:code/integrity", fastify.adminRoute("reports:run"), async (request, reply) => {
+    const code = sanitizeText(request.params.code || "").toUpperCase();
+    if (!canAccessAssessment(request.admin, code)) return reply.code(403).send({ error: "assessment_out_of_scope" });
+    const out = await query("SELECT id FROM assessments WHERE code = $1", [code]);
+    if (!out.rows[0]) return reply.code(404).send({ error: "test_not_found" });
+
+    const summary = await runIntegrityAnalysis(out.rows[0].id);
+    await recordAudit(query, request, { action: "report.integrity_run", targetType: "assessment", targetId: code, details: summary });
+    return { ok: true, code, ...summary };
+  });
+
+  fastify.get("/admin/reports/assessments/:code/integrity", fastify.adminRoute("results:read"), async (request, reply) => {
+    const code = sanitizeText(request.params.code || "").toUpperCase();
+    if (!canAccessAssessment(request.admin, code)) return reply.code(403).send({ error: "assessment_out_of_scope" });
+    const out = await query("SELECT id FROM assessments WHERE code = $1", [code]);
+    if (!out.rows[0]) return reply.code(404).send({ error: "test_not_found" });
+
+    return { code, ...(await loadIntegrityReport(out.rows[0].id)) };
+  });
+}
@@ -0,0 +1,191 @@
+import { canAccessAssessment } from "../adminUsers.js";
+import { recordAudit } from "../audit.js";
+import { query, withTx } from "../db.js";
+import { csvEscape, csvRowsToObjects, generateAccessCode, hashSecret, sanitizeText } from "../utils.js";
+
+function normalizeCandidate(raw) {
+  return {
+    studentId: sanitizeText(raw.studentId ?? raw.student_id ?? raw.id ?? ""),
+    fullName: sanitizeText(raw.fullName ?? raw.full_name ?? raw.name ?? "")
+  };
+}
+
+function parseRosterPayload(body) {
+  if (Array.isArray(body?.candidates)) return body.candidates;
+  if (typeof body?.csv === "string") return csvRowsToObjects(body.csv);
+  return null;
+}
+
+async function findAssessmentByCode(codeValue) {
+  const code = sanitizeText(codeValue || "").toUpperCase();
+  if (!code) return null;
+  const out = await query("SELECT id, code FROM assessments WHERE code = $1", [code]);
+  return out.rows[0] || null;
+}
+
+export default async function rosterRoutes(fastify) {
+  fastify.get("/admin/tests/:code/roster", fastify.adminRoute("roster:read"), async (request, reply) => {
+    const assessment = await findAssessmentByCode(request.params.code);
+    if (!assessment) return reply.code(404).send({ error: "test_not_found" });
+    if (!canAccessAssessment(request.admin, assessment.code)) {
+      return reply.code(403).send({ error: "assessment_out_of_scope" });
+    }
+
+    const out = await query(
+      `SELECT r.student_id, r.full_name, r.access_code_used_at, r.created_at,
+              CASE
+                WHEN EXISTS (
+                  SELECT 1 FROM submissions sub
+                  WHERE sub.assessment_id = r.assessment_id AND sub.student_id = r.student_id AND sub.voided_at IS NULL
+                ) THEN 'submitted'
+                WHEN EXISTS (
+                  SELECT 1 FROM sessions s
+                  WHERE s.assessment_id = r.assessment_id AND s.student_id = r.student_id AND s.status IN ('active', 'paused')
+                ) THEN 'in_progress'
+                ELSE 'not_started'
+              END AS status
+       FROM assessment_roster r
+       WHERE r.assessment_id = $1
+       ORDER BY r.student_id`,
+      [assessment.id]
+    );
+
+    const summary = { total: out.rows.length, not_started: 0, in_progress: 0, submitted: 0 };
+    out.rows.forEach((r) => {
+      summary[r.status] += 1;
+    });
+
+    if (request.query?.format === "csv") {
+      const lines = ["studentId,fullName,status,accessCodeUsedAt"];
+      out.rows.forEach((r) => {
+        lines.push([
+          csvEscape(r.student_id),
+          csvEscape(r.full_name),
+          r.status,
+          csvEscape(r.access_code_used_at ? new Date(r.access_code_used_at).toISOString() : "")
+        ].join(","));
+      });
+      reply.header("Content-Type", "text/csv");
+      return lines.join("\n");
+    }
+
+    return { code: assessment.code, summary, candidates: out.rows };
+  });
+
+  fastify.post("/admin/tests/:code/roster", fastify.adminRoute("roster:write"), async (request, reply) => {
+    const assessment = await findAssessmentByCode(request.params.code);
+    if (!assessment) return reply.code(404).send({ error: "test_not_found" });
+    if (!canAccessAssessment(request.admin, assessment.code)) {
+      return reply.code(403).send({ error: "assessment_out_of_scope" });
+    }
+
+    const payload = parseRosterPayload(request.body);
+    if (!payload || !payload.length) {
+      return reply.code(400).send({ error: "candidates_array_or_csv_required" });
+    }
+
+    const replace = !!request.body?.replace;
+    const rejected = [];
+    const seen = new Set();
+    const candidates = [];
+    payload.forEach((raw, idx) => {
+      const c = normalizeCandidate(raw || {});
+      if (!c.studentId || !c.fullName) {
+        rejected.push({ row: idx + 1, reason: "studentId_and_fullName_required" });
+      } else if (seen.has(c.studentId)) {
+        rejected.push({ row: idx + 1, studentId: c.studentId, reason: "duplicate_studentId" });
+      } else {
+        seen.add(c.studentId);
+        candidates.push(c);
+      }
+    });
+
+    // Plaintext codes are only returned here; the roster keeps hashes, so lost codes must be reissued.
+    const issued = await withTx(async (client) => {
+      if (replace) {
+        await client.query("DELETE FROM assessment_roster WHERE assessment_id = $1", [assessment.id]);
+      }
+      const out = [];
+      for (const c of candidates) {
+        const accessCode = generateAccessCode();
+        const res = await client.query(
+          `INSERT INTO assessment_roster (assessment_id, student_id, full_name, access_code_hash)
+           VALUES ($1,$2,$3,$4)
+           ON CONFLICT (assessment_id, student_id)
+           DO UPDATE SET full_name = EXCLUDED.full_name, updated_at = NOW()
+           RETURNING (xmax = 0) AS inserted`,
+          [assessment.id, c.studentId, c.fullName, hashSecret(accessCode)]
+        );
+        const inserted = !!res.rows[0]?.inserted;
+        out.push({ studentId: c.studentId, fullName: c.fullName, accessCode: inserted ? accessCode : null, existing: !inserted });
+      }
+      await recordAudit(client.query.bind(client), request, {
+        action: "roster.import",
+        targetType: "assessment",
+        targetId: assessment.code,
+        details: {
+          replace,
+          imported: out.length,
+          added: out.filter((c) => !c.existing).length,
+          rejected: rejected.length
+        }
+      });
+      return out;
+    });
+
+    return { ok: true, code: assessment.code, imported: issued.length, rejected, candidates: issued };
+  });
+
+  fastify.post("/admin/tests/:code/roster/:studentId/reissue", fastify.adminRoute("roster:write"), async (request, reply) => {
+    const assessment = await findAssessmentByCode(request.params.code);
+    if (!assessment) return reply.code(404).send({ error: "test_not_found" });
+    if (!canAccessAssessment(request.admin, assessment.code)) {
+      return reply.code(403).send({ error: "assessment_out_of_scope" });
+    }
+
+    const studentId = sanitizeText(request.params.studentId);
+    const accessCode = generateAccessCode();
+    const candidate = await withTx(async (client) => {
+      const out = await client.query(
+        `UPDATE assessment_roster
+         SET access_code_hash = $3, access_code_used_at = NULL, updated_at = NOW()
+         WHERE assessment_id = $1 AND student_id = $2
+         RETURNING student_id, full_name`,
+        [assessment.id, studentId, hashSecret(accessCode)]
+      );
+      if (!out.rows[0]) return null;
+      await recordAudit(client.query.bind(client), request, {
+        action: "roster.reissue",
+        targetType: "roster_candidate",
+        targetId: `${assessment.code}/${studentId}`
+      });
+      return out.rows[0];
+    });
+    if (!candidate) return reply.code(404).send({ error: "candidate_not_found" });
+    return { ok: true, studentId: candidate.student_id, fullName: candidate.full_name, accessCode };
+  });
+
+  fastify.delete("/admin/tests/:code/roster/:studentId", fastify.adminRoute("roster:write"), async (request, reply) => {
+    const assessment = await findAssessmentByCode(request.params.code);
+    if (!assessment) return reply.code(404).send({ error: "test_not_found" });
+    if (!canAccessAssessment(request.admin, assessment.code)) {
+      return reply.code(403).send({ error: "assessment_out_of_scope" });
+    }
+
+    const studentId = sanitizeText(request.params.studentId);
+    await withTx(async (client) => {
+      const out = await client.query(
+        "DELETE FROM assessment_roster WHERE assessment_id = $1 AND student_id = $2 RETURNING full_name",
+        [assessment.id, studentId]
+      );
+      if (!out.rows[0]) return;
+      await recordAudit(client.query.bind(client), request, {
+        action: "roster.remove",
+        targetType: "roster_candidate",
+        targetId: `${assessment.code}/${studentId}`,
+        before: { full_name: out.rows[0].full_name }
+      });
+    });
+    return { ok: true, studentId };
+  });
+}
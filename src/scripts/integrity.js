@@ -0,0 +1,30 @@
+import { pool, query } from "../db.js";
+import { redis } from "../redis.js";
+import { closeProctoring } from "../proctoring.js";
+import { runIntegrityAnalysis } from "../integrity.js";
+
+// Usage: npm run integrity -- <ASSESSMENT_CODE> [<ASSESSMENT_CODE> ...]
+try {
+  const codes = process.argv.slice(2).map((c) => c.trim().toUpperCase()).filter(Boolean);
+  if (!codes.length) {
+    console.error("[integrity] usage: npm run integrity -- <ASSESSMENT_CODE>");
+    process.exitCode = 1;
+  }
+  for (const code of codes) {
+    const out = await query("SELECT id FROM assessments WHERE code = $1", [code]);
+    if (!out.rows[0]) {
+      console.error(`[integrity] code=${code} not_found`);
+      process.exitCode = 1;
+      continue;
+    }
+    const summary = await runIntegrityAnalysis(out.rows[0].id);
+    console.log(`[integrity] code=${code} sessions=${summary.sessionsAnalysed} flagged_pairs=${summary.flaggedPairs} high_risk=${summary.highRisk}`);
+  }
+} catch (err) {
+  console.error("[integrity] failed:", err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+  closeProctoring();
+  redis.disconnect();
+}
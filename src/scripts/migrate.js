@@ -3,6 +3,7 @@ import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { pool } from "../db.js";
 import { config } from "../config.js";
+import { hashPlaintextAssessmentSecrets } from "../passcodes.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,6 +27,9 @@ try {
         await client.query(sql);
         console.log(`[migrate] applied=${file}`);
       }
+      // scrypt is not available in SQL, so plaintext passcodes left from before 019 are hashed here.
+      const hashedSecrets = await hashPlaintextAssessmentSecrets(client);
+      if (hashedSecrets) console.log(`[migrate] hashed_plaintext_secrets=${hashedSecrets}`);
       await client.query("COMMIT");
       console.log("Migration complete.");
     } catch (err) {
@@ -1,5 +1,6 @@
 import { pool } from "../db.js";
 import { config } from "../config.js";
+import { hashAssessmentSecret } from "../passcodes.js";
 import { INTEGRITY_NOTICE } from "../utils.js";
 
 const questions = [
@@ -161,7 +162,7 @@ async function run() {
       [
         config.defaults.code,
         "Secure MCQ Assessment",
-        config.defaults.passcode,
+        await hashAssessmentSecret(config.defaults.passcode),
         config.defaults.durationMinutes * 60,
         config.defaults.drawCount,
         JSON.stringify({}),
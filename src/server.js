@@ -7,9 +7,21 @@ import { fileURLToPath } from "node:url";
 import { config } from "./config.js";
 import { pool } from "./db.js";
 import { redis } from "./redis.js";
+import { closeProctoring } from "./proctoring.js";
 import authPlugin from "./plugins/auth.js";
 import assessmentRoutes from "./routes/assessment.js";
 import adminRoutes from "./routes/admin.js";
+import adminUserRoutes from "./routes/adminUsers.js";
+import rosterRoutes from "./routes/roster.js";
+import proctorRoutes from "./routes/proctor.js";
+import interventionRoutes from "./routes/interventions.js";
+import accommodationRoutes from "./routes/accommodations.js";
+import reportRoutes from "./routes/reports.js";
+import questionHistoryRoutes from "./routes/questionHistory.js";
+import bankTransferRoutes from "./routes/bankTransfer.js";
+import mediaRoutes from "./routes/media.js";
+import auditRoutes from "./routes/audit.js";
+import lockoutRoutes from "./routes/lockouts.js";
 
 const app = Fastify({ logger: true });
 const __filename = fileURLToPath(import.meta.url);
@@ -22,12 +34,23 @@ async function serveHtml(reply, filePath) {
   return html;
 }
 
-await app.register(cors, { origin: true, credentials: false });
+await app.register(cors, { origin: true, credentials: false, exposedHeaders: ["X-Session-Credential"] });
 await app.register(jwt, { secret: config.jwtSecret });
 await app.register(authPlugin);
 
 await app.register(assessmentRoutes, { prefix: "/api" });
 await app.register(adminRoutes, { prefix: "/api" });
+await app.register(adminUserRoutes, { prefix: "/api" });
+await app.register(rosterRoutes, { prefix: "/api" });
+await app.register(proctorRoutes, { prefix: "/api" });
+await app.register(interventionRoutes, { prefix: "/api" });
+await app.register(accommodationRoutes, { prefix: "/api" });
+await app.register(reportRoutes, { prefix: "/api" });
+await app.register(questionHistoryRoutes, { prefix: "/api" });
+await app.register(bankTransferRoutes, { prefix: "/api" });
+await app.register(mediaRoutes, { prefix: "/api" });
+await app.register(auditRoutes, { prefix: "/api" });
+await app.register(lockoutRoutes, { prefix: "/api" });
 
 // Serve the client app at the root so the Render URL works for testers.
 app.get("/", async (request, reply) => {
@@ -48,6 +71,7 @@ app.setErrorHandler((err, request, reply) => {
 const close = async () => {
   await app.close();
   await pool.end();
+  closeProctoring();
   redis.disconnect();
   process.exit(0);
 };
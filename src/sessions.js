@@ -0,0 +1,189 @@
+import { publishProctorEvent } from "./proctoring.js";
+import { isAnswered, scoreQuestion } from "./questionTypes.js";
+
+export function isFreeNavigation(session) {
+  return session.navigation_mode === "free";
+}
+
+// Linear sessions append to `answers` in question order; free-navigation sessions keep `answer_map` by question ID.
+export function listSessionAnswers(session) {
+  if (isFreeNavigation(session)) return Object.values(session.answer_map || {});
+  return session.answers || [];
+}
+
+export function countAnswered(session) {
+  if (isFreeNavigation(session)) return listSessionAnswers(session).filter(isAnswered).length;
+  return (session.answers || []).length;
+}
+
+function roundMarks(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Marks per question are credit × weight; an answered question earning no credit loses the penalty
+// fraction of its weight. Unanswered questions are never penalised.
+function markQuestion(outcome, marks, negativeMarkRatio) {
+  if (outcome.answered && outcome.credit === 0) return roundMarks(-marks * negativeMarkRatio);
+  return roundMarks(marks * outcome.credit);
+}
+
+export async function finalizeSession(client, session, autoSubmitted) {
+  if (session.status === "voided") {
+    return null;
+  }
+  if (session.status === "submitted") {
+    const existing = await client.query(
+      "SELECT result_payload FROM submissions WHERE session_token = $1",
+      [session.token]
+    );
+    return existing.rows[0]?.result_payload || null;
+  }
+
+  const policyRow = await client.query(
+    "SELECT negative_mark_ratio, pass_mark_percent FROM assessments WHERE id = $1",
+    [session.assessment_id]
+  );
+  const negativeMarkRatio = Number(policyRow.rows[0]?.negative_mark_ratio || 0);
+  const passMarkPercent = policyRow.rows[0]?.pass_mark_percent ?? null;
+
+  const answerMap = new Map(listSessionAnswers(session).map((a) => [a.questionId, a]));
+  let score = 0;
+  let marksObtained = 0;
+  let maxMarks = 0;
+  const details = (session.questions_snapshot || []).map((q) => {
+    const answer = answerMap.get(q.id);
+    const outcome = scoreQuestion(q, answer);
+    const marks = Number(q.marks ?? 1);
+    const marksAwarded = markQuestion(outcome, marks, negativeMarkRatio);
+    score += outcome.credit;
+    marksObtained += marksAwarded;
+    maxMarks += marks;
+
+    return {
+      questionId: q.id,
+      type: outcome.type,
+      stem: q.stem,
+      selected: outcome.selected,
+      correct: outcome.correct,
+      explanation: q.explanation,
+      credit: outcome.credit,
+      timeLimitMs: getQuestionLimitMs(session, q),
+      elapsedMs: answer?.elapsedMs ?? null,
+      lateAnswer: !!answer?.lateAnswer,
+      marks,
+      marksAwarded,
+      isCorrect: outcome.credit === 1
+    };
+  });
+  score = roundMarks(score);
+  // Penalties can pull a paper below zero; the recorded total is floored there.
+  marksObtained = Math.max(0, roundMarks(marksObtained));
+  maxMarks = roundMarks(maxMarks);
+
+  const total = session.question_order.length;
+  const percentage = maxMarks ? Math.round((marksObtained / maxMarks) * 100) : 0;
+  const passed = passMarkPercent == null ? null : (maxMarks ? (marksObtained / maxMarks) * 100 : 0) >= passMarkPercent;
+  const startedAt = new Date(session.started_at).getTime();
+  const submittedAtIso = new Date().toISOString();
+  const submittedAtMs = new Date(submittedAtIso).getTime();
+  const timeTakenMs = Math.max(0, submittedAtMs - startedAt);
+
+  const violationCountRow = await client.query(
+    "SELECT COUNT(*)::int AS count FROM violation_events WHERE session_token = $1",
+    [session.token]
+  );
+  const violationCount = violationCountRow.rows[0]?.count || 0;
+
+  const resultPayload = {
+    token: session.token,
+    seed: session.seed,
+    student: {
+      fullName: session.student_name,
+      studentId: session.student_id
+    },
+    score,
+    total,
+    marksObtained,
+    maxMarks,
+    negativeMarkRatio,
+    percentage,
+    passMarkPercent,
+    passed,
+    timeTakenMs,
+    extraTimePercent: Number(session.extra_time_percent || 0),
+    violationCount,
+    submittedAt: submittedAtIso,
+    autoSubmitted: !!autoSubmitted,
+    details
+  };
+
+  await client.query(
+    `UPDATE sessions
+     SET status = 'submitted', submitted_at = NOW(), paused_at = NULL, score = $2, total = $3, auto_submitted = $4
+     WHERE token = $1`,
+    [session.token, score, total, !!autoSubmitted]
+  );
+
+  await client.query(
+    `INSERT INTO submissions (
+       session_token, assessment_id, student_name, student_id,
+       score, total, percentage, time_taken_ms, violation_count, auto_submitted, result_payload,
+       extra_time_percent, marks_obtained, max_marks, passed
+     ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+     ON CONFLICT (session_token) DO NOTHING`,
+    [
+      session.token,
+      session.assessment_id,
+      session.student_name,
+      session.student_id,
+      score,
+      total,
+      percentage,
+      timeTakenMs,
+      violationCount,
+      !!autoSubmitted,
+      JSON.stringify(resultPayload),
+      Number(session.extra_time_percent || 0),
+      marksObtained,
+      maxMarks,
+      passed
+    ]
+  );
+
+  await publishProctorEvent(session.assessment_id, "session_submitted", {
+    token: session.token,
+    studentId: session.student_id,
+    score,
+    total,
+    marksObtained,
+    maxMarks,
+    percentage,
+    passed,
+    autoSubmitted: !!autoSubmitted
+  });
+
+  return resultPayload;
+}
+
+// Answers arriving just after the limit are still accepted to absorb network latency.
+export const QUESTION_TIME_GRACE_MS = 2000;
+
+// Per-question limit stretched by the session's extra-time accommodation; null when the question is untimed.
+export function getQuestionLimitMs(session, q) {
+  if (!q || q.timeLimitSeconds == null) return null;
+  const extraTimePercent = Number(session.extra_time_percent || 0);
+  return Math.round(q.timeLimitSeconds * 1000 * (1 + extraTimePercent / 100));
+}
+
+export function getQuestionRemainingMs(session, q) {
+  const limitMs = getQuestionLimitMs(session, q);
+  if (limitMs == null || !session.question_served_at) return limitMs;
+  const reference = session.paused_at ? new Date(session.paused_at).getTime() : Date.now();
+  return Math.max(0, new Date(session.question_served_at).getTime() + limitMs - reference);
+}
+
+// A paused clock is frozen at the moment the invigilator paused it.
+export function getRemainingMs(session) {
+  const reference = session.paused_at ? new Date(session.paused_at).getTime() : Date.now();
+  return Math.max(0, new Date(session.expires_at).getTime() - reference);
+}
@@ -13,14 +13,114 @@ This is a supervised assessment. The following measures are active:
 
 By proceeding, you confirm that you are completing this assessment without unauthorised assistance, including AI tools, notes, or other persons.`;
 
+export const DEFAULT_ESCALATION_EVENT_TYPES = ["tab_switch", "window_blur"];
+
+// Event types counted towards escalation, lower-cased and de-duplicated; `fallback` when none are configured.
+export function parseEscalationEventTypes(value, fallback = DEFAULT_ESCALATION_EVENT_TYPES) {
+  if (!Array.isArray(value)) return fallback;
+  const types = [...new Set(value.map((x) => sanitizeText(x).toLowerCase()).filter(Boolean))];
+  return types.length ? types : fallback;
+}
+
 export function sanitizeText(value) {
   return String(value || "").replace(/[<>`]/g, "").trim();
 }
 
+// Question text (stems, options, explanations) is stored verbatim as Markdown + LaTeX and escaped by the client
+// at render time, so only control characters are dropped and line endings normalised here.
+export function sanitizeRichText(value) {
+  return String(value ?? "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, "")
+    .trim();
+}
+
+export function normalizePersonName(value) {
+  return sanitizeText(value).toLowerCase().replace(/\s+/g, " ");
+}
+
 export function randomUuid() {
   return crypto.randomUUID();
 }
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Checked before comparing a request value with a UUID column, so the column is compared directly (and its
+// index used) instead of being cast to text.
+export function isUuid(value) {
+  return UUID_PATTERN.test(String(value ?? ""));
+}
+
+const ACCESS_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export function generateAccessCode(length = 8) {
+  let out = "";
+  for (let i = 0; i < length; i += 1) {
+    out += ACCESS_CODE_ALPHABET[crypto.randomInt(ACCESS_CODE_ALPHABET.length)];
+  }
+  return out;
+}
+
+export function hashSecret(value) {
+  return crypto.createHash("sha256").update(String(value ?? "")).digest("hex");
+}
+
+// Coarse client identity for binding student credentials; the screen resolution is reported by the client.
+export function clientFingerprint(userAgent, screenResolution) {
+  return hashSecret(`${sanitizeText(userAgent || "")}|${sanitizeText(screenResolution || "")}`).slice(0, 32);
+}
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+// Hashes in flight at once; the rest queue, so a burst of sign-ins cannot take every core (or the threadpool).
+const SCRYPT_MAX_CONCURRENT = 2;
+
+let scryptRunning = 0;
+const scryptQueue = [];
+
+// A finishing hash hands its slot straight to the next queued one, so the limit holds under any interleaving.
+async function withScryptSlot(fn) {
+  if (scryptRunning < SCRYPT_MAX_CONCURRENT) scryptRunning += 1;
+  else await new Promise((resolve) => scryptQueue.push(resolve));
+  try {
+    return await fn();
+  } finally {
+    const next = scryptQueue.shift();
+    if (next) next();
+    else scryptRunning -= 1;
+  }
+}
+
+function scrypt(password, salt, params) {
+  return withScryptSlot(() => new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, 64, { ...params, maxmem: 64 * 1024 * 1024 }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  }));
+}
+
+// Salted, slow hash for login secrets, stored as "scrypt$N$r$p$salt$hash" so the cost can be raised later.
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString("base64")}$${key.toString("base64")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const key = await scrypt(password, Buffer.from(salt, "base64"), { N: Number(N), r: Number(r), p: Number(p) });
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a ?? ""));
+  const right = Buffer.from(String(b ?? ""));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
 export function fisherYates(input) {
   const arr = input.slice();
   for (let i = arr.length - 1; i > 0; i -= 1) {
@@ -45,3 +145,50 @@ export function parseJsonObjectOrEmpty(value) {
     return {};
   }
 }
+
+// Minimal RFC 4180 reader: quoted fields, escaped quotes and CRLF line endings. Returns rows of raw strings.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const input = String(text || "");
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+export function csvRowsToObjects(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map((h) => h.trim());
+  return rows.map((cells) => Object.fromEntries(keys.map((k, idx) => [k, cells[idx] ?? ""])));
+}
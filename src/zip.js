@@ -0,0 +1,118 @@
+import zlib from "node:zlib";
+
+// Just enough ZIP support for QTI content packages: stored or deflated entries, no ZIP64, no encryption.
+
+// Ceiling on the total size of all extracted entries, so a small deflate bomb cannot exhaust memory.
+const MAX_UNCOMPRESSED_BYTES = 50 * 1024 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export function isZip(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+// `entries` is [{ name, data }] with string or Buffer data; everything is deflated.
+export function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const nameBuf = Buffer.from(name, "utf8");
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf8");
+    const compressed = zlib.deflateRawSync(raw);
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + compressed.length;
+  });
+
+  const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+// Returns a Map of entry name to contents, or null when the buffer is not a readable archive or
+// expands past MAX_UNCOMPRESSED_BYTES.
+export function readZip(buffer) {
+  if (!isZip(buffer)) return null;
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i -= 1) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) return null;
+
+  const files = new Map();
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let pos = buffer.readUInt32LE(endOffset + 16);
+  let remaining = MAX_UNCOMPRESSED_BYTES;
+  try {
+    for (let i = 0; i < count; i += 1) {
+      if (buffer.readUInt32LE(pos) !== 0x02014b50) return null;
+      const method = buffer.readUInt16LE(pos + 10);
+      const compressedSize = buffer.readUInt32LE(pos + 20);
+      const nameLength = buffer.readUInt16LE(pos + 28);
+      const extraLength = buffer.readUInt16LE(pos + 30);
+      const commentLength = buffer.readUInt16LE(pos + 32);
+      const localOffset = buffer.readUInt32LE(pos + 42);
+      const name = buffer.toString("utf8", pos + 46, pos + 46 + nameLength);
+      pos += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith("/")) continue;
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      let contents;
+      if (method === 0) contents = Buffer.from(data);
+      // inflateRawSync throws once the output would pass maxOutputLength, which lands in the catch below.
+      else if (method === 8) contents = zlib.inflateRawSync(data, { maxOutputLength: Math.max(remaining, 1) });
+      else continue;
+      if (contents.length > remaining) return null;
+      remaining -= contents.length;
+      files.set(name, contents);
+    }
+  } catch {
+    return null;
+  }
+  return files;
+}